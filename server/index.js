@@ -3,13 +3,15 @@ import sqlite3 from 'sqlite3';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Initialize express
 const app = express();
-app.use(express.json());
+// provider webhooks are verified against the body exactly as it was sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use(cors());
 
 // Serve static files from the public directory
@@ -44,6 +46,498 @@ function allAsync(sql, params = []) {
   });
 }
 
+// Times are stored as local 'YYYY-MM-DD HH:MM' strings
+function parseDateTime(str) {
+  const [datePart, timePart = '00:00'] = str.replace('T', ' ').split(' ');
+  const [y, m, d] = datePart.split('-').map(Number);
+  const [hh, mm] = timePart.split(':').map(Number);
+  return new Date(y, m - 1, d, hh, mm);
+}
+function formatDateTime(dt) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())} ${pad(dt.getHours())}:${pad(dt.getMinutes())}`;
+}
+
+// Returns ids of active reservations on the court overlapping [start_time, end_time)
+async function findReservationConflicts(court_id, start_time, end_time, excludeIds = []) {
+  const rows = await allAsync(
+    `SELECT id FROM reservations
+     WHERE court_id = ?
+       AND status IN ('booked','completed')
+       AND NOT (datetime(end_time) <= datetime(?) OR datetime(start_time) >= datetime(?))`,
+    [court_id, start_time, end_time]
+  );
+  return rows.map((r) => r.id).filter((id) => !excludeIds.includes(id));
+}
+
+// Dependents of a household membership are covered by it like its primary
+async function hasActiveMembership(player_id, date) {
+  const row = await getAsync(
+    `SELECT id FROM memberships
+     WHERE ${MEMBERSHIP_COVERS} AND status = 'active'
+       AND date(?) BETWEEN date(start_date) AND date(end_date)`,
+    [player_id, player_id, date]
+  );
+  return !!row;
+}
+
+// Lights surcharge applies to the part of a booking from this time of day on
+const LIGHTS_ON_TIME = '18:00';
+
+// Price a booking minute by minute: the first matching band (court-specific before
+// club-wide) sets the hourly rate, otherwise the court's base rate. Surcharges are
+// hourly too; the member discount is taken off the total.
+async function quoteReservationPrice({ court_id, player_id, start_time, end_time }) {
+  const court = await getAsync('SELECT id, indoor, lights, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent FROM courts WHERE id = ?', [court_id]);
+  if (!court) throw Object.assign(new Error('Court not found'), { status: 404 });
+  const bands = await allAsync(
+    `SELECT id, court_id, label, weekdays, start_time, end_time, rate_cents FROM court_price_bands
+     WHERE court_id = ? OR court_id IS NULL
+     ORDER BY court_id IS NULL, start_time`,
+    [court_id]
+  );
+  const lines = {};
+  const addLine = (label, cents) => {
+    if (!lines[label]) lines[label] = { label, minutes: 0, amount_cents: 0 };
+    lines[label].minutes += 1;
+    lines[label].amount_cents += cents;
+  };
+  const end = parseDateTime(end_time);
+  for (const t = parseDateTime(start_time); t < end; t.setMinutes(t.getMinutes() + 1)) {
+    const hhmm = formatDateTime(t).slice(11);
+    const band = bands.find((b) => b.weekdays.split(',').map(Number).includes(t.getDay()) && b.start_time <= hhmm && hhmm < b.end_time);
+    if (band) addLine(band.label || 'Band ' + band.id, band.rate_cents / 60);
+    else addLine('Giá cơ bản', court.base_rate_cents / 60);
+    if (court.lights && hhmm >= LIGHTS_ON_TIME) addLine('Phụ thu đèn', court.lights_surcharge_cents / 60);
+    if (court.indoor) addLine('Phụ thu trong nhà', court.indoor_surcharge_cents / 60);
+  }
+  const items = Object.values(lines).map((l) => ({ ...l, amount_cents: Math.round(l.amount_cents) }));
+  const subtotal = items.reduce((sum, l) => sum + l.amount_cents, 0);
+  let discount = 0;
+  if (player_id && court.member_discount_percent && await hasActiveMembership(player_id, start_time)) {
+    discount = Math.round(subtotal * court.member_discount_percent / 100);
+  }
+  return { court_id: court.id, player_id: player_id || null, start_time, end_time, lines: items, subtotal_cents: subtotal, member_discount_cents: discount, price_cents: subtotal - discount, currency: 'VND' };
+}
+
+// Everything that occupies a court in [from, to): active reservations, events
+// on that court or on no specific court (which block every court), and slots
+// held for a notified waitlist player
+async function loadBusyIntervals(court_id, from, to) {
+  const reservations = await allAsync(
+    `SELECT id, start_time, end_time FROM reservations
+     WHERE court_id = ? AND status IN ('booked','completed')
+       AND datetime(end_time) > datetime(?) AND datetime(start_time) < datetime(?)`,
+    [court_id, from, to]
+  );
+  const events = await allAsync(
+    `SELECT id, name, start_time, end_time FROM events
+     WHERE (court_id = ? OR court_id IS NULL) AND status != 'cancelled'
+       AND datetime(end_time) > datetime(?) AND datetime(start_time) < datetime(?)`,
+    [court_id, from, to]
+  );
+  const holds = await allAsync(
+    `SELECT id, start_time, end_time FROM waitlist
+     WHERE court_id = ? AND status = 'notified' AND claim_expires_at > ?
+       AND datetime(end_time) > datetime(?) AND datetime(start_time) < datetime(?)`,
+    [court_id, formatDateTime(new Date()), from, to]
+  );
+  return reservations.map((r) => ({ type: 'reservation', ...r }))
+    .concat(events.map((e) => ({ type: 'event', ...e })))
+    .concat(holds.map((h) => ({ type: 'waitlist', ...h })));
+}
+
+// Club hours for courts that have no opening hours of their own
+const DEFAULT_OPEN_TIME = '06:00';
+const DEFAULT_CLOSE_TIME = '22:00';
+
+// Opening hours of a court on a date, or null when it is closed all day
+async function getCourtHours(court_id, date) {
+  const row = await getAsync('SELECT open_time, close_time FROM court_hours WHERE court_id = ? AND weekday = ?', [court_id, parseDateTime(date).getDay()]);
+  if (!row) return { open_time: DEFAULT_OPEN_TIME, close_time: DEFAULT_CLOSE_TIME };
+  if (!row.open_time || !row.close_time) return null;
+  return { open_time: row.open_time, close_time: row.close_time };
+}
+
+// Closures overlapping [from, to) for a court, including club-wide ones.
+// A null court_id (something using every court) matches closures on any court.
+function loadClosures(court_id, from, to) {
+  return allAsync(
+    `SELECT id, court_id, start_time, end_time, reason FROM court_closures
+     WHERE (? IS NULL OR court_id = ? OR court_id IS NULL)
+       AND datetime(end_time) > datetime(?) AND datetime(start_time) < datetime(?)
+     ORDER BY start_time`,
+    [court_id, court_id, from, to]
+  );
+}
+
+// Why [start_time, end_time) cannot be used on a court, or null when the court is open.
+// Bookings must fit the day's opening hours; multi-day events (sameDay false) only
+// check closures, and a null court_id checks closures on every court.
+async function findClosure(court_id, start_time, end_time, { sameDay = true } = {}) {
+  const start = formatDateTime(parseDateTime(start_time));
+  const end = formatDateTime(parseDateTime(end_time));
+  const court = court_id ? await getAsync('SELECT name FROM courts WHERE id = ?', [court_id]) : null;
+  const name = court ? court.name : 'The club';
+  if (court_id && (sameDay || start.slice(0, 10) === end.slice(0, 10))) {
+    const date = start.slice(0, 10);
+    const hours = await getCourtHours(court_id, date);
+    if (!hours) return `${name} is closed on ${date}`;
+    if (end.slice(0, 10) !== date) return `${name} bookings cannot run past midnight`;
+    if (start.slice(11) < hours.open_time) return `${name} opens at ${hours.open_time}`;
+    if (end.slice(11) > hours.close_time) return `${name} closes at ${hours.close_time}`;
+  }
+  const closures = await loadClosures(court_id || null, start, end);
+  if (closures.length > 0) {
+    const c = closures[0];
+    const closed = !court_id && c.court_id ? await getAsync('SELECT name FROM courts WHERE id = ?', [c.court_id]) : null;
+    return `${closed ? closed.name : name} is closed from ${c.start_time} to ${c.end_time}${c.reason ? ': ' + c.reason : ''}`;
+  }
+  return null;
+}
+
+// Non-cancelled events occupying a court during [start_time, end_time): events on that
+// court or on no specific court. A null court_id matches events on any court.
+function findEventConflicts(court_id, start_time, end_time, excludeEventId = null) {
+  return allAsync(
+    `SELECT id, name, court_id, start_time, end_time FROM events
+     WHERE status != 'cancelled'
+       AND (? IS NULL OR court_id = ? OR court_id IS NULL)
+       AND id IS NOT ?
+       AND NOT (datetime(end_time) <= datetime(?) OR datetime(start_time) >= datetime(?))
+     ORDER BY start_time`,
+    [court_id, court_id, excludeEventId, start_time, end_time]
+  );
+}
+
+// Active reservations overlapping [start_time, end_time) with names for error messages.
+// A null court_id (an event using every court) matches reservations on any court.
+function findCourtReservations(court_id, start_time, end_time, excludeIds = []) {
+  return allAsync(
+    `SELECT r.id, r.court_id, c.name AS court_name, p.name AS player_name, r.start_time, r.end_time
+     FROM reservations r
+     JOIN courts c ON c.id = r.court_id
+     JOIN players p ON p.id = r.player_id
+     WHERE r.status IN ('booked','completed')
+       AND (? IS NULL OR r.court_id = ?)
+       AND NOT (datetime(r.end_time) <= datetime(?) OR datetime(r.start_time) >= datetime(?))
+     ORDER BY r.start_time`,
+    [court_id, court_id, start_time, end_time]
+  ).then((rows) => rows.filter((r) => !excludeIds.includes(r.id)));
+}
+
+// Human readable description of a conflicting event or reservation row
+function describeConflict(type, row) {
+  if (type === 'event') return `event "${row.name}" (${row.start_time} - ${row.end_time})`;
+  return `reservation #${row.id} by ${row.player_name} on ${row.court_name} (${row.start_time} - ${row.end_time})`;
+}
+
+// Doubles: the host plus up to three guests
+const MAX_RESERVATION_PLAYERS = 4;
+
+// Distinct guest ids other than the host; throws with status 422 when the game would be over-full
+function normalizeGuests(host_id, guest_ids = []) {
+  const guests = [...new Set(guest_ids.map(Number))].filter((id) => id && id !== Number(host_id));
+  if (guests.length + 1 > MAX_RESERVATION_PLAYERS) {
+    throw Object.assign(new Error(`A reservation can have at most ${MAX_RESERVATION_PLAYERS} players.`), { status: 422 });
+  }
+  return guests;
+}
+
+// Replace everyone on a reservation: the booker as host plus the given guests
+async function setReservationPlayers(reservation_id, host_id, guest_ids = []) {
+  const guests = normalizeGuests(host_id, guest_ids);
+  await runAsync('DELETE FROM reservation_players WHERE reservation_id = ?', [reservation_id]);
+  await runAsync('INSERT INTO reservation_players (reservation_id, player_id, role) VALUES (?,?,?)', [reservation_id, host_id, 'host']);
+  for (const guest of guests) {
+    await runAsync('INSERT INTO reservation_players (reservation_id, player_id, role) VALUES (?,?,?)', [reservation_id, guest, 'guest']);
+  }
+}
+
+// Add a players list (host first, then guests) to each reservation row. Rows booked
+// before participants were recorded get their booker as host.
+async function attachReservationPlayers(rows) {
+  const byReservation = new Map(rows.map((row) => [row.id, []]));
+  const ids = [...byReservation.keys()];
+  // stay well under SQLite's bound parameter limit
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const players = await allAsync(
+      `SELECT rp.reservation_id, rp.player_id, p.name AS player_name, rp.role
+       FROM reservation_players rp
+       JOIN players p ON p.id = rp.player_id
+       WHERE rp.reservation_id IN (${chunk.map(() => '?').join(',')})
+       ORDER BY rp.role DESC, p.name`,
+      chunk
+    );
+    players.forEach(({ reservation_id, ...player }) => byReservation.get(reservation_id).push(player));
+  }
+  rows.forEach((row) => {
+    const players = byReservation.get(row.id);
+    if (!players.some((p) => p.role === 'host')) players.unshift({ player_id: row.player_id, player_name: row.player_name, role: 'host' });
+    row.players = players;
+  });
+  return rows;
+}
+
+// Check a booking against the club's booking rules and the court's members-only flag.
+// Returns a list of violations ({ rule, message, limit }); empty when the booking is allowed.
+// exclude_ids are bookings being replaced (a move) and pending are bookings about to be
+// made alongside this one (other series occurrences); both adjust the weekly quota.
+// Later occurrences of a series skip the advance window (check_advance false): the series
+// is booked when its first occurrence is.
+async function checkBookingRules({ court_id, player_id, start_time, end_time, exclude_ids = [], pending = [], check_advance = true }) {
+  const rules = (await getAsync('SELECT advance_days, member_advance_days, max_weekly_hours, min_duration_minutes, max_duration_minutes FROM booking_rules WHERE id = 1')) || {};
+  const court = await getAsync('SELECT members_only FROM courts WHERE id = ?', [court_id]);
+  const start = parseDateTime(start_time);
+  const minutes = (parseDateTime(end_time) - start) / 60000;
+  const member = await hasActiveMembership(player_id, start_time.slice(0, 10));
+  const violations = [];
+  if (court && court.members_only && !member) {
+    violations.push({ rule: 'members_only', message: 'This court can only be booked by players with an active membership.' });
+  }
+  if (rules.min_duration_minutes != null && minutes < rules.min_duration_minutes) {
+    violations.push({ rule: 'min_duration', message: `Bookings must be at least ${rules.min_duration_minutes} minutes.`, limit: rules.min_duration_minutes });
+  }
+  if (rules.max_duration_minutes != null && minutes > rules.max_duration_minutes) {
+    violations.push({ rule: 'max_duration', message: `Bookings can be at most ${rules.max_duration_minutes} minutes.`, limit: rules.max_duration_minutes });
+  }
+  const advanceDays = member && rules.member_advance_days != null ? rules.member_advance_days : rules.advance_days;
+  if (check_advance && advanceDays != null && start - new Date() > advanceDays * 86400000) {
+    violations.push({ rule: 'advance_window', message: `${member ? 'Members' : 'Players'} can book at most ${advanceDays} days ahead.`, limit: advanceDays });
+  }
+  if (rules.max_weekly_hours != null) {
+    // Monday to Sunday week containing the booking
+    const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - ((start.getDay() + 6) % 7));
+    const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7);
+    const excluded = exclude_ids.length > 0 ? `AND id NOT IN (${exclude_ids.map(() => '?').join(',')})` : '';
+    const booked = await getAsync(
+      `SELECT COALESCE(SUM((julianday(end_time) - julianday(start_time)) * 24 * 60), 0) AS minutes FROM reservations
+       WHERE player_id = ? AND status IN ('booked','completed')
+         AND start_time >= ? AND start_time < ? ${excluded}`,
+      [player_id, formatDateTime(weekStart), formatDateTime(weekEnd), ...exclude_ids]
+    );
+    const pendingMinutes = pending
+      .filter((p) => p.start_time >= formatDateTime(weekStart) && p.start_time < formatDateTime(weekEnd))
+      .reduce((sum, p) => sum + (parseDateTime(p.end_time) - parseDateTime(p.start_time)) / 60000, 0);
+    if (Math.round(booked.minutes) + pendingMinutes + minutes > rules.max_weekly_hours * 60) {
+      violations.push({ rule: 'weekly_quota', message: `Players can book at most ${rules.max_weekly_hours} hours per week.`, limit: rules.max_weekly_hours });
+    }
+  }
+  return violations;
+}
+
+// Error for rule violations, carrying the full list for the UI
+function bookingRulesError(violations) {
+  return Object.assign(new Error(violations.map((v) => v.message).join(' ')), { status: 422, violations });
+}
+
+// Finished bookings older than this are left alone by the sweep, so history
+// from before no-show tracking (or a long outage) is never charged in bulk
+const NO_SHOW_SWEEP_WINDOW_HOURS = 24;
+// Check-in opens this long before the start of a reservation
+const CHECK_IN_OPENS_MINUTES = 30;
+
+// Error message when a player may not book because of past no-shows, else null
+async function noShowBlock(player_id) {
+  const rules = await getAsync('SELECT max_no_shows FROM booking_rules WHERE id = 1');
+  // players with max_no_shows no-shows cannot book until staff reset their count
+  if (!rules || rules.max_no_shows == null) return null;
+  const player = await getAsync('SELECT no_show_count FROM players WHERE id = ?', [player_id]);
+  if (player && player.no_show_count >= rules.max_no_shows) {
+    return `Player has ${player.no_show_count} no-shows and cannot book until the count is reset.`;
+  }
+  return null;
+}
+
+// Mark a reservation as a no-show: count it against the player and charge the no-show fee
+async function recordNoShow(reservation) {
+  await runAsync('UPDATE reservations SET status = "no_show" WHERE id = ?', [reservation.id]);
+  await runAsync('UPDATE players SET no_show_count = COALESCE(no_show_count, 0) + 1 WHERE id = ?', [reservation.player_id]);
+  const settlement = await settleCancellation({
+    applies_to: 'reservation',
+    source: { source_type: 'reservation', source_id: reservation.id },
+    payer_id: reservation.player_id,
+    start_time: reservation.start_time,
+    price_cents: reservation.price_cents,
+    no_show: true
+  });
+  await syncReservationPaymentStatus(reservation.id);
+  await invoiceSource({ source_type: 'reservation', source_id: reservation.id });
+  return settlement;
+}
+
+// Finished bookings become completed when the player checked in, otherwise no-shows.
+// Checked-in bookings are always completed. Only bookings that ended within the sweep
+// window and were made before they ended become no-shows; backdated entries are records
+// of the past, not missed bookings.
+async function closeFinishedReservations() {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - NO_SHOW_SWEEP_WINDOW_HOURS * 60 * 60 * 1000);
+  await runAsync(
+    `UPDATE reservations SET status = 'completed'
+     WHERE status = 'booked' AND checked_in_at IS NOT NULL AND end_time <= ?`,
+    [formatDateTime(now)]
+  );
+  const missed = await allAsync(
+    `SELECT id, player_id, start_time, price_cents FROM reservations
+     WHERE status = 'booked' AND checked_in_at IS NULL AND end_time <= ? AND end_time > ?
+       AND strftime('%Y-%m-%d %H:%M', created_at, 'localtime') < end_time`,
+    [formatDateTime(now), formatDateTime(windowStart)]
+  );
+  for (const reservation of missed) {
+    await recordNoShow(reservation);
+  }
+}
+
+// How long a notified waitlist player has to claim a freed slot
+const WAITLIST_CLAIM_MINUTES = 30;
+
+// Notified waitlist entries still holding [start_time, end_time) on a court for
+// someone other than player_id
+function findWaitlistHolds(court_id, start_time, end_time, player_id = null) {
+  return allAsync(
+    `SELECT id, player_id, start_time, end_time, claim_expires_at FROM waitlist
+     WHERE court_id = ? AND status = 'notified' AND claim_expires_at > ?
+       AND player_id IS NOT ?
+       AND NOT (datetime(end_time) <= datetime(?) OR datetime(start_time) >= datetime(?))`,
+    [court_id, formatDateTime(new Date()), player_id, start_time, end_time]
+  );
+}
+
+// Turn a waitlist entry into a reservation if its slot is free. Returns the new
+// reservation, null when the slot is still taken, or throws with status 422 when
+// the court is closed at that time.
+async function bookWaitlistEntry(entry) {
+  const { id, court_id, player_id, start_time, end_time } = entry;
+  const closed = await findClosure(court_id, start_time, end_time);
+  if (closed) throw Object.assign(new Error(closed), { status: 422 });
+  const violations = await checkBookingRules({ court_id, player_id, start_time, end_time });
+  if (violations.length > 0) throw bookingRulesError(violations);
+  const conflicts = await findReservationConflicts(court_id, start_time, end_time);
+  const events = await findEventConflicts(court_id, start_time, end_time);
+  const holds = await findWaitlistHolds(court_id, start_time, end_time, player_id);
+  if (conflicts.length > 0 || events.length > 0 || holds.length > 0) return null;
+  // Create a new reservation with default status 'booked', priced like any other booking
+  const quote = await quoteReservationPrice({ court_id, player_id, start_time, end_time });
+  const result = await runAsync(
+    'INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents) VALUES (?,?,?,?,?,?)',
+    [court_id, player_id, start_time, end_time, 'booked', quote.price_cents]
+  );
+  await setReservationPlayers(result.lastID, player_id);
+  await invoicePlayers([player_id]);
+  await runAsync('UPDATE waitlist SET status = "booked", claim_expires_at = NULL WHERE id = ?', [id]);
+  const row = await getAsync(
+    `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+     FROM reservations r
+     JOIN courts c ON c.id = r.court_id
+     JOIN players p ON p.id = r.player_id
+     WHERE r.id = ?`,
+    [result.lastID]
+  );
+  await attachReservationPlayers([row]);
+  return row;
+}
+
+// A slot was freed (cancelled, deleted or moved booking): offer it to waiting entries
+// on that court, best priority first then oldest. Each entry whose own slot is now
+// free is notified and holds it until its claim deadline.
+async function offerFreedSlot(court_id, start_time, end_time) {
+  const now = formatDateTime(new Date());
+  const candidates = await allAsync(
+    `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, w.start_time, w.end_time
+     FROM waitlist w
+     JOIN courts c ON c.id = w.court_id
+     WHERE w.court_id = ? AND w.status = 'waiting'
+       AND NOT (datetime(w.end_time) <= datetime(?) OR datetime(w.start_time) >= datetime(?))
+     ORDER BY w.priority DESC, w.created_at, w.id`,
+    [court_id, start_time, end_time]
+  );
+  const notified = [];
+  for (const entry of candidates) {
+    if (entry.start_time <= now) {
+      await runAsync('UPDATE waitlist SET status = "expired" WHERE id = ?', [entry.id]);
+      continue;
+    }
+    if (await findClosure(entry.court_id, entry.start_time, entry.end_time)) continue;
+    if ((await checkBookingRules(entry)).length > 0) continue;
+    const conflicts = await findReservationConflicts(entry.court_id, entry.start_time, entry.end_time);
+    const events = await findEventConflicts(entry.court_id, entry.start_time, entry.end_time);
+    const holds = await findWaitlistHolds(entry.court_id, entry.start_time, entry.end_time);
+    if (conflicts.length > 0 || events.length > 0 || holds.length > 0) continue;
+    // Claim window, but never past the start of the slot
+    const deadline = formatDateTime(new Date(Date.now() + WAITLIST_CLAIM_MINUTES * 60000));
+    const claimBy = deadline < entry.start_time ? deadline : entry.start_time;
+    await runAsync('UPDATE waitlist SET status = "notified", notified_at = ?, claim_expires_at = ? WHERE id = ?', [now, claimBy, entry.id]);
+    await runAsync(
+      'INSERT INTO notifications (player_id, channel, subject, body, scheduled_at, status) VALUES (?,?,?,?,?,?)',
+      [entry.player_id, 'sms', 'Sân đã trống', `${entry.court_name} ${entry.start_time} - ${entry.end_time.slice(11)} đã trống. Vui lòng xác nhận trước ${claimBy}.`, now, 'queued']
+    );
+    notified.push(entry.id);
+  }
+  return notified;
+}
+
+// Expire unclaimed offers and stale waiting entries, passing expired holds on to the next in line
+async function expireWaitlistClaims() {
+  const now = formatDateTime(new Date());
+  const lapsed = await allAsync(
+    `SELECT id, court_id, start_time, end_time FROM waitlist
+     WHERE status = 'notified' AND claim_expires_at <= ?`,
+    [now]
+  );
+  for (const entry of lapsed) {
+    await runAsync('UPDATE waitlist SET status = "expired" WHERE id = ?', [entry.id]);
+  }
+  await runAsync('UPDATE waitlist SET status = "expired" WHERE status = "waiting" AND start_time <= ?', [now]);
+  for (const entry of lapsed) {
+    await offerFreedSlot(entry.court_id, entry.start_time, entry.end_time);
+  }
+}
+
+const SERIES_STEP_DAYS = { daily: 1, weekly: 7, biweekly: 14 };
+const MAX_SERIES_OCCURRENCES = 100;
+
+// Expand a recurrence rule into concrete occurrences, stopping at until_date or count
+function expandSeries({ start_time, end_time, frequency, until_date, count }) {
+  const step = SERIES_STEP_DAYS[frequency];
+  const first = parseDateTime(start_time);
+  const last = parseDateTime(end_time);
+  const limit = Math.min(count ? parseInt(count, 10) : MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+  const occurrences = [];
+  for (let i = 0; i < limit; i++) {
+    const s = new Date(first);
+    s.setDate(s.getDate() + i * step);
+    const e = new Date(last);
+    e.setDate(e.getDate() + i * step);
+    const startStr = formatDateTime(s);
+    if (until_date && startStr.slice(0, 10) > until_date) break;
+    occurrences.push({ start_time: startStr, end_time: formatDateTime(e) });
+  }
+  return occurrences;
+}
+
+// Validate a series request and attach the conflicting reservation ids and booking rule
+// violations to each occurrence; the weekly quota counts the occurrences before it
+async function previewSeries(body) {
+  const { court_id, player_id, start_time, end_time, frequency, until_date, count } = body;
+  if (!court_id || !start_time || !end_time) throw Object.assign(new Error('court_id, start_time and end_time are required'), { status: 400 });
+  if (!SERIES_STEP_DAYS[frequency]) throw Object.assign(new Error('frequency must be daily, weekly or biweekly'), { status: 400 });
+  if (!until_date && !count) throw Object.assign(new Error('Either until_date or count is required'), { status: 400 });
+  const occurrences = expandSeries({ start_time, end_time, frequency, until_date, count });
+  const pending = [];
+  for (const [i, occ] of occurrences.entries()) {
+    occ.conflicts = await findReservationConflicts(court_id, occ.start_time, occ.end_time);
+    occ.events = (await findEventConflicts(court_id, occ.start_time, occ.end_time)).map((e) => e.id);
+    occ.closed = await findClosure(court_id, occ.start_time, occ.end_time);
+    occ.violations = player_id
+      ? await checkBookingRules({ court_id, player_id, start_time: occ.start_time, end_time: occ.end_time, pending, check_advance: i === 0 })
+      : [];
+    if (occ.conflicts.length === 0 && occ.events.length === 0 && !occ.closed && occ.violations.length === 0) pending.push(occ);
+  }
+  return occurrences;
+}
+
 /*
   CRUD endpoints
 */
@@ -51,7 +545,7 @@ function allAsync(sql, params = []) {
 // Players
 app.get('/api/players', async (req, res) => {
   try {
-    const rows = await allAsync('SELECT id, name, phone, email, status, expiry FROM players ORDER BY id');
+    const rows = await allAsync(`SELECT ${PLAYER_COLUMNS} FROM players ORDER BY id`);
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -59,10 +553,10 @@ app.get('/api/players', async (req, res) => {
 });
 
 app.post('/api/players', async (req, res) => {
-  const { name, phone, email, status, expiry } = req.body;
+  const { name, phone, email } = req.body;
   try {
-    const result = await runAsync('INSERT INTO players (name, phone, email, status, expiry) VALUES (?,?,?,?,?)', [name, phone, email, status || 'none', expiry || null]);
-    const row = await getAsync('SELECT id, name, phone, email, status, expiry FROM players WHERE id = ?', [result.lastID]);
+    const result = await runAsync('INSERT INTO players (name, phone, email) VALUES (?,?,?)', [name, phone, email]);
+    const row = await getAsync(`SELECT ${PLAYER_COLUMNS} FROM players WHERE id = ?`, [result.lastID]);
     res.status(201).json(row);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -72,6 +566,9 @@ app.post('/api/players', async (req, res) => {
 app.patch('/api/players/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const fields = req.body;
+  if ('status' in fields || 'expiry' in fields) {
+    return res.status(400).json({ error: 'Membership status and expiry follow the player\'s memberships.' });
+  }
   const setClauses = [];
   const values = [];
   Object.keys(fields).forEach((key) => {
@@ -82,7 +579,7 @@ app.patch('/api/players/:id', async (req, res) => {
   const sql = `UPDATE players SET ${setClauses.join(', ')} WHERE id = ?`;
   try {
     await runAsync(sql, values);
-    const updated = await getAsync('SELECT id, name, phone, email, status, expiry FROM players WHERE id = ?', [id]);
+    const updated = await getAsync(`SELECT ${PLAYER_COLUMNS} FROM players WHERE id = ?`, [id]);
     res.json(updated);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -102,7 +599,7 @@ app.delete('/api/players/:id', async (req, res) => {
 // Courts
 app.get('/api/courts', async (req, res) => {
   try {
-    const rows = await allAsync('SELECT id, name, location, surface, indoor, lights, is_active FROM courts ORDER BY id');
+    const rows = await allAsync('SELECT id, name, location, surface, indoor, lights, is_active, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent, members_only FROM courts ORDER BY id');
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -110,10 +607,13 @@ app.get('/api/courts', async (req, res) => {
 });
 
 app.post('/api/courts', async (req, res) => {
-  const { name, location, surface, indoor, lights, is_active } = req.body;
+  const { name, location, surface, indoor, lights, is_active, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent, members_only } = req.body;
   try {
-    const result = await runAsync('INSERT INTO courts (name, location, surface, indoor, lights, is_active) VALUES (?,?,?,?,?,?)', [name, location, surface, indoor ? 1 : 0, lights ? 1 : 0, is_active ? 1 : 0]);
-    const row = await getAsync('SELECT id, name, location, surface, indoor, lights, is_active FROM courts WHERE id = ?', [result.lastID]);
+    const result = await runAsync(
+      'INSERT INTO courts (name, location, surface, indoor, lights, is_active, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent, members_only) VALUES (?,?,?,?,?,?,?,?,?,?,?)',
+      [name, location, surface, indoor ? 1 : 0, lights ? 1 : 0, is_active ? 1 : 0, base_rate_cents || 0, lights_surcharge_cents || 0, indoor_surcharge_cents || 0, member_discount_percent || 0, members_only ? 1 : 0]
+    );
+    const row = await getAsync('SELECT id, name, location, surface, indoor, lights, is_active, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent, members_only FROM courts WHERE id = ?', [result.lastID]);
     res.status(201).json(row);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -132,7 +632,7 @@ app.patch('/api/courts/:id', async (req, res) => {
   values.push(id);
   try {
     await runAsync(`UPDATE courts SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    const updated = await getAsync('SELECT id, name, location, surface, indoor, lights, is_active FROM courts WHERE id = ?', [id]);
+    const updated = await getAsync('SELECT id, name, location, surface, indoor, lights, is_active, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent, members_only FROM courts WHERE id = ?', [id]);
     res.json(updated);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -149,137 +649,87 @@ app.delete('/api/courts/:id', async (req, res) => {
   }
 });
 
-// Reservations
-app.get('/api/reservations', async (req, res) => {
-  const { date } = req.query;
+// Court opening hours
+app.get('/api/courts/:id/hours', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
   try {
-    let rows;
-    if (date) {
-      rows = await allAsync(
-        `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status
-         FROM reservations r
-         JOIN courts c ON c.id = r.court_id
-         JOIN players p ON p.id = r.player_id
-         WHERE date(r.start_time) = date(?)
-         ORDER BY r.start_time`,
-        [date]
-      );
-    } else {
-      rows = await allAsync(
-        `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status
-         FROM reservations r
-         JOIN courts c ON c.id = r.court_id
-         JOIN players p ON p.id = r.player_id
-         ORDER BY r.start_time`
-      );
+    const rows = await allAsync('SELECT weekday, open_time, close_time FROM court_hours WHERE court_id = ? ORDER BY weekday', [id]);
+    // Fill in club defaults for weekdays without a row
+    const week = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const row = rows.find((r) => r.weekday === weekday);
+      week.push(row || { weekday, open_time: DEFAULT_OPEN_TIME, close_time: DEFAULT_CLOSE_TIME });
     }
-    res.json(rows);
+    res.json(week);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/reservations', async (req, res) => {
-  const { court_id, player_id, start_time, end_time, price_cents, status } = req.body;
-  // check for conflicts: if existing reservation for same court overlaps
+// Replace the weekly hours of a court; a day without open/close times is closed
+app.put('/api/courts/:id/hours', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const days = Array.isArray(req.body) ? req.body : [];
   try {
-    const conflicts = await allAsync(
-      `SELECT id FROM reservations
-       WHERE court_id = ?
-         AND status IN ('booked','completed')
-         AND NOT (datetime(end_time) <= datetime(?) OR datetime(start_time) >= datetime(?))`,
-      [court_id, start_time, end_time]
-    );
-    if (conflicts.length > 0) {
-      // push to waitlist automatically
+    await runAsync('DELETE FROM court_hours WHERE court_id = ?', [id]);
+    for (const day of days) {
       await runAsync(
-        'INSERT INTO waitlist (court_id, player_id, start_time, end_time, priority, status) VALUES (?,?,?,?,0, "waiting")',
-        [court_id, player_id, start_time, end_time]
+        'INSERT INTO court_hours (court_id, weekday, open_time, close_time) VALUES (?,?,?,?)',
+        [id, day.weekday, day.open_time || null, day.close_time || null]
       );
-      return res.status(409).json({ error: 'Court is already booked at this time. Added to waitlist.' });
     }
-    const result = await runAsync(
-      'INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents, payment_status) VALUES (?,?,?,?,?,?,?)',
-      [court_id, player_id, start_time, end_time, status || 'booked', price_cents || 0, payment_status || 'unpaid']
-    );
-    const row = await getAsync(
-      `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents
-       FROM reservations r
-       JOIN courts c ON c.id = r.court_id
-       JOIN players p ON p.id = r.player_id
-       WHERE r.id = ?`,
-      [result.lastID]
-    );
-    res.status(201).json(row);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-app.patch('/api/reservations/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const fields = req.body;
-  const setClauses = [];
-  const values = [];
-  for (const key of Object.keys(fields)) {
-    setClauses.push(`${key} = ?`);
-    values.push(fields[key]);
-  }
-  values.push(id);
-  try {
-    await runAsync(`UPDATE reservations SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    const updated = await getAsync(
-      `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents
-       FROM reservations r
-       JOIN courts c ON c.id = r.court_id
-       JOIN players p ON p.id = r.player_id
-       WHERE r.id = ?`,
-      [id]
-    );
-    res.json(updated);
+    const rows = await allAsync('SELECT weekday, open_time, close_time FROM court_hours WHERE court_id = ? ORDER BY weekday', [id]);
+    res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete('/api/reservations/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
+// Hours and closures of every court on one date, for the reservations grid
+app.get('/api/court-hours', async (req, res) => {
+  const { date } = req.query;
+  if (!date) return res.status(400).json({ error: 'date is required' });
   try {
-    await runAsync('DELETE FROM reservations WHERE id = ?', [id]);
-    res.json({ ok: true });
+    const courts = await allAsync('SELECT id FROM courts ORDER BY id');
+    const rows = [];
+    for (const court of courts) {
+      const hours = await getCourtHours(court.id, date);
+      const closures = await loadClosures(court.id, `${date} 00:00`, `${date} 23:59`);
+      rows.push({ court_id: court.id, open_time: hours ? hours.open_time : null, close_time: hours ? hours.close_time : null, closures });
+    }
+    res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Waitlist
-app.get('/api/waitlist', async (req, res) => {
+// Court closures
+app.get('/api/court-closures', async (req, res) => {
   try {
     const rows = await allAsync(
-      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status
-       FROM waitlist w
-       JOIN courts c ON c.id = w.court_id
-       JOIN players p ON p.id = w.player_id
-       ORDER BY w.created_at`);
+      `SELECT cc.id, cc.court_id, c.name AS court_name, cc.start_time, cc.end_time, cc.reason
+       FROM court_closures cc
+       LEFT JOIN courts c ON c.id = cc.court_id
+       ORDER BY cc.start_time DESC`
+    );
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/waitlist', async (req, res) => {
-  const { court_id, player_id, start_time, end_time, priority, status } = req.body;
+app.post('/api/court-closures', async (req, res) => {
+  const { court_id, start_time, end_time, reason } = req.body;
   try {
     const result = await runAsync(
-      'INSERT INTO waitlist (court_id, player_id, start_time, end_time, priority, status) VALUES (?,?,?,?,?,?)',
-      [court_id, player_id, start_time, end_time, priority || 0, status || 'waiting']
+      'INSERT INTO court_closures (court_id, start_time, end_time, reason) VALUES (?,?,?,?)',
+      [court_id || null, start_time, end_time, reason]
     );
     const row = await getAsync(
-      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status
-       FROM waitlist w
-       JOIN courts c ON c.id = w.court_id
-       JOIN players p ON p.id = w.player_id
-       WHERE w.id = ?`,
+      `SELECT cc.id, cc.court_id, c.name AS court_name, cc.start_time, cc.end_time, cc.reason
+       FROM court_closures cc
+       LEFT JOIN courts c ON c.id = cc.court_id
+       WHERE cc.id = ?`,
       [result.lastID]
     );
     res.status(201).json(row);
@@ -288,7 +738,7 @@ app.post('/api/waitlist', async (req, res) => {
   }
 });
 
-app.patch('/api/waitlist/:id', async (req, res) => {
+app.patch('/api/court-closures/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const fields = req.body;
   const setClauses = [];
@@ -299,69 +749,72 @@ app.patch('/api/waitlist/:id', async (req, res) => {
   }
   values.push(id);
   try {
-    await runAsync(`UPDATE waitlist SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    // fetch updated waitlist entry
-    const updated = await getAsync(
-      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status
-       FROM waitlist w
-       JOIN courts c ON c.id = w.court_id
-       JOIN players p ON p.id = w.player_id
-       WHERE w.id = ?`,
+    await runAsync(`UPDATE court_closures SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    const row = await getAsync(
+      `SELECT cc.id, cc.court_id, c.name AS court_name, cc.start_time, cc.end_time, cc.reason
+       FROM court_closures cc
+       LEFT JOIN courts c ON c.id = cc.court_id
+       WHERE cc.id = ?`,
       [id]
     );
-    // Check for conflicts: if no conflict, convert to reservation and delete from waitlist
-    const { court_id, player_id, start_time, end_time } = updated;
-    const conflicts = await allAsync(
-      `SELECT id FROM reservations
-       WHERE court_id = ?
-         AND status IN ('booked','completed')
-         AND NOT (datetime(end_time) <= datetime(?) OR datetime(start_time) >= datetime(?))`,
-      [court_id, start_time, end_time]
-    );
-    if (conflicts.length === 0) {
-      // Create a new reservation with default status 'booked' and price 0
-      const result = await runAsync(
-        'INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents) VALUES (?,?,?,?,?,?)',
-        [court_id, player_id, start_time, end_time, 'booked', 0]
-      );
-      // Remove from waitlist
-      await runAsync('DELETE FROM waitlist WHERE id = ?', [id]);
-      // return the newly created reservation
-      const row = await getAsync(
-        `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents
-         FROM reservations r
-         JOIN courts c ON c.id = r.court_id
-         JOIN players p ON p.id = r.player_id
-         WHERE r.id = ?`,
-        [result.lastID]
-      );
-      return res.status(201).json(row);
-    }
-    // still in waitlist
-    res.json(updated);
+    res.json(row);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete('/api/waitlist/:id', async (req, res) => {
+app.delete('/api/court-closures/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   try {
-    await runAsync('DELETE FROM waitlist WHERE id = ?', [id]);
+    await runAsync('DELETE FROM court_closures WHERE id = ?', [id]);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Events
-app.get('/api/events', async (req, res) => {
+// Booking rules
+app.get('/api/booking-rules', async (req, res) => {
+  try {
+    const row = await getAsync('SELECT advance_days, member_advance_days, max_weekly_hours, min_duration_minutes, max_duration_minutes, max_no_shows FROM booking_rules WHERE id = 1');
+    res.json(row || {});
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/booking-rules', async (req, res) => {
+  const keys = ['advance_days', 'member_advance_days', 'max_weekly_hours', 'min_duration_minutes', 'max_duration_minutes', 'max_no_shows'];
+  const fields = {};
+  for (const key of keys) {
+    if (req.body[key] === undefined) continue;
+    // empty values switch a rule off
+    fields[key] = req.body[key] === null || req.body[key] === '' ? null : Number(req.body[key]);
+    if (fields[key] !== null && !(fields[key] >= 0)) return res.status(400).json({ error: `${key} must be zero or more.` });
+  }
+  if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'No fields to update' });
+  try {
+    await runAsync('INSERT OR IGNORE INTO booking_rules (id) VALUES (1)');
+    const setClauses = Object.keys(fields).map((key) => `${key} = ?`);
+    await runAsync(`UPDATE booking_rules SET ${setClauses.join(', ')} WHERE id = 1`, Object.values(fields));
+    const row = await getAsync('SELECT advance_days, member_advance_days, max_weekly_hours, min_duration_minutes, max_duration_minutes, max_no_shows FROM booking_rules WHERE id = 1');
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Court pricing
+app.get('/api/price-bands', async (req, res) => {
+  const { court_id } = req.query;
   try {
     const rows = await allAsync(
-      `SELECT e.id, e.name, e.description, e.court_id, c.name AS court_name, e.start_time, e.end_time, e.max_participants, e.fee_cents, e.status
-       FROM events e
-       LEFT JOIN courts c ON c.id = e.court_id
-       ORDER BY e.start_time`
+      `SELECT b.id, b.court_id, c.name AS court_name, b.label, b.weekdays, b.start_time, b.end_time, b.rate_cents
+       FROM court_price_bands b
+       LEFT JOIN courts c ON c.id = b.court_id
+       WHERE ? IS NULL OR b.court_id = ? OR b.court_id IS NULL
+       ORDER BY b.court_id, b.start_time`,
+      [court_id || null, court_id || null]
     );
     res.json(rows);
   } catch (err) {
@@ -369,18 +822,18 @@ app.get('/api/events', async (req, res) => {
   }
 });
 
-app.post('/api/events', async (req, res) => {
-  const { name, description, court_id, start_time, end_time, max_participants, fee_cents, status } = req.body;
+app.post('/api/price-bands', async (req, res) => {
+  const { court_id, label, weekdays, start_time, end_time, rate_cents } = req.body;
   try {
     const result = await runAsync(
-      'INSERT INTO events (name, description, court_id, start_time, end_time, max_participants, fee_cents, status) VALUES (?,?,?,?,?,?,?,?)',
-      [name, description, court_id || null, start_time, end_time, max_participants || null, fee_cents || 0, status || 'open']
+      'INSERT INTO court_price_bands (court_id, label, weekdays, start_time, end_time, rate_cents) VALUES (?,?,?,?,?,?)',
+      [court_id || null, label, weekdays || '0,1,2,3,4,5,6', start_time, end_time, rate_cents || 0]
     );
     const row = await getAsync(
-      `SELECT e.id, e.name, e.description, e.court_id, c.name AS court_name, e.start_time, e.end_time, e.max_participants, e.fee_cents, e.status
-       FROM events e
-       LEFT JOIN courts c ON c.id = e.court_id
-       WHERE e.id = ?`,
+      `SELECT b.id, b.court_id, c.name AS court_name, b.label, b.weekdays, b.start_time, b.end_time, b.rate_cents
+       FROM court_price_bands b
+       LEFT JOIN courts c ON c.id = b.court_id
+       WHERE b.id = ?`,
       [result.lastID]
     );
     res.status(201).json(row);
@@ -389,7 +842,7 @@ app.post('/api/events', async (req, res) => {
   }
 });
 
-app.patch('/api/events/:id', async (req, res) => {
+app.patch('/api/price-bands/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const fields = req.body;
   const setClauses = [];
@@ -400,73 +853,3186 @@ app.patch('/api/events/:id', async (req, res) => {
   }
   values.push(id);
   try {
-    await runAsync(`UPDATE events SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    const updated = await getAsync(
-      `SELECT e.id, e.name, e.description, e.court_id, c.name AS court_name, e.start_time, e.end_time, e.max_participants, e.fee_cents, e.status
-       FROM events e
-       LEFT JOIN courts c ON c.id = e.court_id
-       WHERE e.id = ?`,
+    await runAsync(`UPDATE court_price_bands SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    const row = await getAsync(
+      `SELECT b.id, b.court_id, c.name AS court_name, b.label, b.weekdays, b.start_time, b.end_time, b.rate_cents
+       FROM court_price_bands b
+       LEFT JOIN courts c ON c.id = b.court_id
+       WHERE b.id = ?`,
       [id]
     );
-    res.json(updated);
+    res.json(row);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete('/api/events/:id', async (req, res) => {
+app.delete('/api/price-bands/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   try {
-    await runAsync('DELETE FROM event_registrations WHERE event_id = ?', [id]);
-    await runAsync('DELETE FROM events WHERE id = ?', [id]);
+    await runAsync('DELETE FROM court_price_bands WHERE id = ?', [id]);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Event registrations
-app.get('/api/events/:eventId/registrations', async (req, res) => {
-  const eventId = parseInt(req.params.eventId, 10);
+// Free slots of a given length on every active court matching the filters.
+// time_from/time_to bound the search window on each day between date_from and date_to.
+app.get('/api/availability', async (req, res) => {
+  const { date_from, date_to, time_from, time_to, indoor, lights, surface } = req.query;
+  const duration = parseInt(req.query.duration || '60', 10);
+  const step = parseInt(req.query.step || '30', 10);
+  const limit = parseInt(req.query.limit || '20', 10);
+  if (!date_from) return res.status(400).json({ error: 'date_from is required' });
+  if (!(duration > 0) || !(step > 0)) return res.status(400).json({ error: 'duration and step must be positive minutes' });
+  const lastDate = date_to || date_from;
   try {
-    const rows = await allAsync(
-      `SELECT er.id, er.event_id, er.player_id, p.name AS player_name, er.registered_at, er.payment_status, er.status
-       FROM event_registrations er
-       JOIN players p ON p.id = er.player_id
-       WHERE er.event_id = ?
-       ORDER BY er.registered_at`,
-      [eventId]
-    );
-    res.json(rows);
+    const where = ['is_active = 1'];
+    const params = [];
+    if (indoor !== undefined && indoor !== '') { where.push('indoor = ?'); params.push(parseInt(indoor, 10)); }
+    if (lights !== undefined && lights !== '') { where.push('lights = ?'); params.push(parseInt(lights, 10)); }
+    if (surface) { where.push('surface = ?'); params.push(surface); }
+    const courts = await allAsync(`SELECT id, name, location, surface, indoor, lights FROM courts WHERE ${where.join(' AND ')} ORDER BY id`, params);
+    const now = formatDateTime(new Date());
+    const result = [];
+    for (const court of courts) {
+      const busy = await loadBusyIntervals(court.id, `${date_from} 00:00`, `${lastDate} 23:59`);
+      const closures = await loadClosures(court.id, `${date_from} 00:00`, `${lastDate} 23:59`);
+      busy.push(...closures.map((c) => ({ type: 'closure', ...c })));
+      const slots = [];
+      for (const day = parseDateTime(date_from); formatDateTime(day).slice(0, 10) <= lastDate && slots.length < limit; day.setDate(day.getDate() + 1)) {
+        const dateStr = formatDateTime(day).slice(0, 10);
+        const hours = await getCourtHours(court.id, dateStr);
+        if (!hours) continue;
+        const windowStart = time_from && time_from > hours.open_time ? time_from : hours.open_time;
+        const windowEnd = time_to && time_to < hours.close_time ? time_to : hours.close_time;
+        const dayEnd = parseDateTime(`${dateStr} ${windowEnd}`);
+        for (let t = parseDateTime(`${dateStr} ${windowStart}`); slots.length < limit; t = new Date(t.getTime() + step * 60000)) {
+          const end = new Date(t.getTime() + duration * 60000);
+          if (end > dayEnd) break;
+          const start_time = formatDateTime(t);
+          const end_time = formatDateTime(end);
+          if (start_time < now) continue;
+          const taken = busy.some((b) => b.start_time < end_time && b.end_time > start_time);
+          if (!taken) slots.push({ start_time, end_time });
+        }
+      }
+      result.push({ court_id: court.id, court_name: court.name, surface: court.surface, indoor: court.indoor, lights: court.lights, slots });
+    }
+    res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/events/:eventId/registrations', async (req, res) => {
-  const eventId = parseInt(req.params.eventId, 10);
-  const { player_id, payment_status, status } = req.body;
+// Price a prospective booking without saving it
+app.get('/api/pricing/quote', async (req, res) => {
+  const { court_id, player_id, start_time, end_time } = req.query;
+  if (!court_id || !start_time || !end_time) {
+    return res.status(400).json({ error: 'court_id, start_time and end_time are required' });
+  }
   try {
-    const result = await runAsync(
-      'INSERT INTO event_registrations (event_id, player_id, payment_status, status) VALUES (?,?,?,?)',
-      [eventId, player_id, payment_status || 'unpaid', status || 'registered']
-    );
-    const row = await getAsync(
-      `SELECT er.id, er.event_id, er.player_id, p.name AS player_name, er.registered_at, er.payment_status, er.status
-       FROM event_registrations er
-       JOIN players p ON p.id = er.player_id
-       WHERE er.id = ?`,
-      [result.lastID]
-    );
-    res.status(201).json(row);
+    const quote = await quoteReservationPrice({ court_id: parseInt(court_id, 10), player_id: player_id ? parseInt(player_id, 10) : null, start_time, end_time });
+    res.json(quote);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.patch('/api/event-registrations/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const fields = req.body;
+// Reservations
+app.get('/api/reservations', async (req, res) => {
+  const { date } = req.query;
+  try {
+    let rows;
+    if (date) {
+      rows = await allAsync(
+        `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+         FROM reservations r
+         JOIN courts c ON c.id = r.court_id
+         JOIN players p ON p.id = r.player_id
+         WHERE date(r.start_time) = date(?)
+         ORDER BY r.start_time`,
+        [date]
+      );
+    } else {
+      rows = await allAsync(
+        `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+         FROM reservations r
+         JOIN courts c ON c.id = r.court_id
+         JOIN players p ON p.id = r.player_id
+         ORDER BY r.start_time`
+      );
+    }
+    res.json(await attachReservationPlayers(rows));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/reservations', async (req, res) => {
+  const { court_id, player_id, start_time, end_time, status, payment_status, guest_ids, pay_with_credits, promo_code } = req.body;
+  try {
+    normalizeGuests(player_id, guest_ids);
+    const blocked = await noShowBlock(player_id);
+    if (blocked) return res.status(403).json({ error: blocked });
+    const violations = await checkBookingRules({ court_id, player_id, start_time, end_time });
+    if (violations.length > 0) {
+      return res.status(422).json({ error: bookingRulesError(violations).message, violations });
+    }
+    const closed = await findClosure(court_id, start_time, end_time);
+    if (closed) return res.status(422).json({ error: closed });
+    // events block the court outright; there is nothing to wait for
+    const events = await findEventConflicts(court_id, start_time, end_time);
+    if (events.length > 0) {
+      return res.status(409).json({ error: `Court is reserved for ${describeConflict('event', events[0])}.`, conflict: { type: 'event', ...events[0] } });
+    }
+    const holds = await findWaitlistHolds(court_id, start_time, end_time, player_id);
+    if (holds.length > 0) {
+      return res.status(409).json({ error: `Court is held for a waitlisted player until ${holds[0].claim_expires_at}.`, conflict: { type: 'waitlist', ...holds[0] } });
+    }
+    // check for conflicts: if existing reservation for same court overlaps
+    const conflicts = await findCourtReservations(court_id, start_time, end_time);
+    if (conflicts.length > 0) {
+      // push to waitlist automatically
+      await runAsync(
+        'INSERT INTO waitlist (court_id, player_id, start_time, end_time, priority, status) VALUES (?,?,?,?,0, "waiting")',
+        [court_id, player_id, start_time, end_time]
+      );
+      return res.status(409).json({ error: `Court is already booked: ${describeConflict('reservation', conflicts[0])}. Added to waitlist.`, conflict: { type: 'reservation', ...conflicts[0] } });
+    }
+    const quote = await quoteReservationPrice({ court_id, player_id, start_time, end_time });
+    if (promo_code && pay_with_credits) return res.status(422).json({ error: 'Promo codes do not apply to bookings paid from credits.' });
+    const promo = promo_code ? await checkPromoCode(promo_code, { source_type: 'reservation', player_id, amount_cents: quote.price_cents }) : null;
+    const creditUse = pay_with_credits ? await planCreditUse(player_id, start_time, end_time) : null;
+    const result = await runAsync(
+      'INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents, payment_status) VALUES (?,?,?,?,?,?,?)',
+      [court_id, player_id, start_time, end_time, status || 'booked', quote.price_cents, creditUse ? 'paid' : payment_status || 'unpaid']
+    );
+    if (creditUse) await useCredits(player_id, result.lastID, creditUse);
+    if (promo) await redeemPromoCode(promo, { player_id, source_type: 'reservation', source_id: result.lastID });
+    await setReservationPlayers(result.lastID, player_id, guest_ids || []);
+    await invoicePlayers([player_id]);
+    const row = await getAsync(
+      `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+       FROM reservations r
+       JOIN courts c ON c.id = r.court_id
+       JOIN players p ON p.id = r.player_id
+       WHERE r.id = ?`,
+      [result.lastID]
+    );
+    await attachReservationPlayers([row]);
+    if (promo) row.discount_cents = promo.discount_cents;
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Reservations in the same series from this occurrence onward, or just this one.
+// scope=following is ignored for reservations that are not part of a series.
+async function reservationScopeTargets(row, scope) {
+  if (scope !== 'following' || !row.series_id) return [row];
+  return allAsync(
+    `SELECT id, court_id, player_id, start_time, end_time, status, price_cents FROM reservations
+     WHERE series_id = ? AND datetime(start_time) >= datetime(?)
+     ORDER BY start_time`,
+    [row.series_id, row.start_time]
+  );
+}
+
+app.patch('/api/reservations/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { scope } = req.query;
+  const fields = req.body;
+  try {
+    const current = await getAsync('SELECT id, court_id, player_id, series_id, start_time, end_time, status, price_cents FROM reservations WHERE id = ?', [id]);
+    if (!current) return res.status(404).json({ error: 'Reservation not found' });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'No fields to update' });
+    const targets = await reservationScopeTargets(current, scope);
+    const moving = !!(fields.start_time || fields.end_time || fields.court_id);
+    const rebooking = moving || !!fields.player_id;
+    // Time changes are applied to other occurrences as a shift relative to this one
+    const startShift = fields.start_time ? parseDateTime(fields.start_time) - parseDateTime(current.start_time) : 0;
+    const endShift = fields.end_time ? parseDateTime(fields.end_time) - parseDateTime(current.end_time) : 0;
+    const updates = targets.map((target) => {
+      const values = { ...fields };
+      if (fields.start_time) values.start_time = formatDateTime(new Date(parseDateTime(target.start_time).getTime() + startShift));
+      if (fields.end_time) values.end_time = formatDateTime(new Date(parseDateTime(target.end_time).getTime() + endShift));
+      return { target, values };
+    });
+    const creditAdjustments = [];
+    if (rebooking) {
+      const targetIds = targets.map((t) => t.id);
+      // Moved occurrences are checked together for the weekly quota and credit balance; like
+      // a new series, only the first is held to the advance window
+      const pending = [];
+      const plannedCredits = {};
+      for (const [i, { target, values }] of updates.entries()) {
+        const courtId = values.court_id || target.court_id;
+        const startTime = values.start_time || target.start_time;
+        const endTime = values.end_time || target.end_time;
+        const playerId = values.player_id || target.player_id;
+        const violations = await checkBookingRules({ court_id: courtId, player_id: playerId, start_time: startTime, end_time: endTime, exclude_ids: targetIds, pending, check_advance: i === 0 });
+        if (violations.length > 0) {
+          return res.status(422).json({ error: bookingRulesError(violations).message, reservation_id: target.id, violations });
+        }
+        pending.push({ start_time: startTime, end_time: endTime });
+        if (!moving) continue;
+        if (target.status === 'booked') {
+          const adjustment = await planCreditAdjustment(target.id, startTime, endTime, plannedCredits);
+          if (adjustment) creditAdjustments.push(adjustment);
+        }
+        const closed = await findClosure(courtId, startTime, endTime);
+        if (closed) return res.status(422).json({ error: closed, reservation_id: target.id });
+        const events = await findEventConflicts(courtId, startTime, endTime);
+        if (events.length > 0) {
+          return res.status(409).json({ error: `Court is reserved for ${describeConflict('event', events[0])}.`, reservation_id: target.id, conflict: { type: 'event', ...events[0] } });
+        }
+        const clashes = await findCourtReservations(courtId, startTime, endTime, targetIds);
+        if (clashes.length > 0) {
+          return res.status(409).json({ error: `Court is already booked: ${describeConflict('reservation', clashes[0])}.`, reservation_id: target.id, conflict: { type: 'reservation', ...clashes[0] } });
+        }
+        const holds = await findWaitlistHolds(courtId, startTime, endTime, target.player_id);
+        if (holds.length > 0) {
+          return res.status(409).json({ error: `Court is held for a waitlisted player until ${holds[0].claim_expires_at}.`, reservation_id: target.id, conflict: { type: 'waitlist', ...holds[0] } });
+        }
+      }
+    }
+    // everyone billed for these bookings before the change, and a new booker
+    const billed = [fields.player_id];
+    for (const { target } of updates) billed.push(...await sourcePlayerIds({ source_type: 'reservation', source_id: target.id }));
+    for (const { target, values } of updates) {
+      const setClauses = Object.keys(values).map((key) => `${key} = ?`);
+      await runAsync(`UPDATE reservations SET ${setClauses.join(', ')} WHERE id = ?`, [...Object.values(values), target.id]);
+      // Re-price moved bookings unless staff set a price explicitly
+      if (moving && fields.price_cents === undefined) {
+        const moved = await getAsync('SELECT court_id, player_id, start_time, end_time FROM reservations WHERE id = ?', [target.id]);
+        const quote = await quoteReservationPrice(moved);
+        await runAsync('UPDATE reservations SET price_cents = ? WHERE id = ?', [quote.price_cents, target.id]);
+      }
+    }
+    for (const adjustment of creditAdjustments) await applyCreditAdjustment(adjustment);
+    // A new booker becomes host; guests stay on the reservation
+    if (fields.player_id) {
+      for (const { target } of updates) {
+        const guests = await allAsync('SELECT player_id FROM reservation_players WHERE reservation_id = ? AND role = "guest"', [target.id]);
+        await setReservationPlayers(target.id, fields.player_id, guests.map((g) => g.player_id).filter((g) => g !== Number(fields.player_id)));
+      }
+    }
+    // Cancelling settles money already collected according to the cancellation policy
+    const settlements = [];
+    if (fields.status === 'cancelled') {
+      for (const { target, values } of updates) {
+        if (target.status === 'cancelled') continue;
+        settlements.push(await settleCancellation({
+          applies_to: 'reservation',
+          source: { source_type: 'reservation', source_id: target.id },
+          payer_id: values.player_id || target.player_id,
+          start_time: target.start_time,
+          price_cents: values.price_cents !== undefined ? values.price_cents : target.price_cents
+        }));
+        await syncReservationPaymentStatus(target.id);
+      }
+    } else if (fields.status === 'no_show') {
+      for (const { target, values } of updates) {
+        if (target.status === 'no_show') continue;
+        settlements.push(await recordNoShow({ ...target, ...values }));
+      }
+    }
+    // Cancelling or moving frees the original slots for the waitlist
+    if (moving || fields.status === 'cancelled') {
+      for (const { target } of updates) {
+        await offerFreedSlot(target.court_id, target.start_time, target.end_time);
+      }
+    }
+    await invoicePlayers(billed);
+    const updated = await getAsync(
+      `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+       FROM reservations r
+       JOIN courts c ON c.id = r.court_id
+       JOIN players p ON p.id = r.player_id
+       WHERE r.id = ?`,
+      [id]
+    );
+    await attachReservationPlayers([updated]);
+    if (settlements.length > 0) updated.cancellation = sumSettlements(settlements);
+    res.json(updated);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/reservations/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { scope } = req.query;
+  try {
+    const current = await getAsync('SELECT id, court_id, player_id, series_id, start_time, end_time, status, price_cents FROM reservations WHERE id = ?', [id]);
+    if (!current) return res.json({ ok: true });
+    const targets = await reservationScopeTargets(current, scope);
+    const settlements = [];
+    const billed = [];
+    for (const target of targets) {
+      billed.push(...await sourcePlayerIds({ source_type: 'reservation', source_id: target.id }));
+      // Deleting a live booking is a cancellation as far as money is concerned
+      if (target.status === 'booked') {
+        settlements.push(await settleCancellation({
+          applies_to: 'reservation',
+          source: { source_type: 'reservation', source_id: target.id },
+          payer_id: target.player_id,
+          start_time: target.start_time,
+          price_cents: target.price_cents
+        }));
+      }
+      await runAsync('DELETE FROM reservations WHERE id = ?', [target.id]);
+      await runAsync('DELETE FROM reservation_players WHERE reservation_id = ?', [target.id]);
+      await runAsync("DELETE FROM promo_redemptions WHERE source_type = 'reservation' AND source_id = ?", [target.id]);
+      await offerFreedSlot(target.court_id, target.start_time, target.end_time);
+    }
+    await invoicePlayers(billed);
+    res.json({ ok: true, deleted: targets.length, cancellation: sumSettlements(settlements) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Desk check-in, from shortly before the start until the end of the booking
+app.post('/api/reservations/:id/check-in', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const reservation = await getAsync('SELECT id, status, start_time, end_time, checked_in_at FROM reservations WHERE id = ?', [id]);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+    if (reservation.status !== 'booked') return res.status(409).json({ error: `Cannot check in a ${reservation.status} reservation.` });
+    const now = new Date();
+    const opensAt = formatDateTime(new Date(parseDateTime(reservation.start_time).getTime() - CHECK_IN_OPENS_MINUTES * 60000));
+    if (formatDateTime(now) < opensAt) return res.status(409).json({ error: `Check-in opens at ${opensAt}.` });
+    if (formatDateTime(now) >= reservation.end_time) return res.status(409).json({ error: 'This reservation has already ended.' });
+    if (!reservation.checked_in_at) {
+      await runAsync('UPDATE reservations SET checked_in_at = ? WHERE id = ?', [formatDateTime(now), id]);
+    }
+    const row = await getAsync(
+      `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+       FROM reservations r
+       JOIN courts c ON c.id = r.court_id
+       JOIN players p ON p.id = r.player_id
+       WHERE r.id = ?`,
+      [id]
+    );
+    await attachReservationPlayers([row]);
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reservation participants
+async function loadReservationPlayers(id) {
+  const row = await getAsync(
+    `SELECT r.id, r.player_id, p.name AS player_name, r.price_cents
+     FROM reservations r
+     JOIN players p ON p.id = r.player_id
+     WHERE r.id = ?`,
+    [id]
+  );
+  if (!row) return null;
+  await attachReservationPlayers([row]);
+  return row;
+}
+
+app.get('/api/reservations/:id/players', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const reservation = await loadReservationPlayers(id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+    res.json(reservation.players);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add one guest
+app.post('/api/reservations/:id/players', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const player_id = parseInt(req.body.player_id, 10);
+  try {
+    const reservation = await loadReservationPlayers(id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+    if (!player_id) return res.status(400).json({ error: 'player_id is required' });
+    if (reservation.players.some((p) => p.player_id === player_id)) {
+      return res.status(409).json({ error: 'Player is already on this reservation.' });
+    }
+    const guests = reservation.players.filter((p) => p.role === 'guest').map((p) => p.player_id);
+    await setReservationPlayers(id, reservation.player_id, [...guests, player_id]);
+    res.status(201).json((await loadReservationPlayers(id)).players);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Replace the guest list
+app.put('/api/reservations/:id/players', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { guest_ids } = req.body;
+  try {
+    const reservation = await loadReservationPlayers(id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+    await setReservationPlayers(id, reservation.player_id, guest_ids || []);
+    res.json((await loadReservationPlayers(id)).players);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/reservations/:id/players/:playerId', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const playerId = parseInt(req.params.playerId, 10);
+  try {
+    const reservation = await loadReservationPlayers(id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+    if (playerId === reservation.player_id) return res.status(400).json({ error: 'The host cannot be removed; change the booker instead.' });
+    await runAsync('DELETE FROM reservation_players WHERE reservation_id = ? AND player_id = ?', [id, playerId]);
+    res.json((await loadReservationPlayers(id)).players);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Split the price into one pending payment per player; the host covers any rounding remainder
+app.post('/api/reservations/:id/split-payments', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const reservation = await loadReservationPlayers(id);
+    if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+    const existing = await getAsync(
+      `SELECT COUNT(*) AS n FROM payments WHERE source_type = 'reservation' AND source_id = ? AND status != 'failed'`,
+      [id]
+    );
+    if (existing.n > 0) return res.status(409).json({ error: 'This reservation already has payments.' });
+    const total = Math.max(0, (reservation.price_cents || 0) - await sourceDiscountCents({ source_type: 'reservation', source_id: id }));
+    const share = Math.floor(total / reservation.players.length);
+    for (const player of reservation.players) {
+      const amount = player.role === 'host' ? total - share * (reservation.players.length - 1) : share;
+      const payment = await runAsync(
+        'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, status) VALUES (?,?,?,?,?,?)',
+        [player.player_id, amount, 'VND', 'reservation', id, 'pending']
+      );
+      if (player.role === 'host') await attachRedemption(payment.lastID);
+    }
+    await invoiceSource({ source_type: 'reservation', source_id: id });
+    const rows = await allAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.source_type = 'reservation' AND pay.source_id = ?
+       ORDER BY pay.id`,
+      [id]
+    );
+    res.status(201).json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reservation series (recurring bookings)
+app.post('/api/reservation-series/preview', async (req, res) => {
+  try {
+    const occurrences = await previewSeries(req.body);
+    res.json({ occurrences });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/reservation-series', async (req, res) => {
+  const { court_id, player_id, start_time, end_time, frequency, until_date, count, skip_conflicts, guest_ids } = req.body;
+  try {
+    normalizeGuests(player_id, guest_ids);
+    const blocked = await noShowBlock(player_id);
+    if (blocked) return res.status(403).json({ error: blocked });
+    const occurrences = await previewSeries(req.body);
+    const violating = occurrences.filter((o) => o.violations.length > 0);
+    if (violating.length > 0 && !skip_conflicts) {
+      const violations = violating.flatMap((o) => o.violations.map((v) => ({ ...v, start_time: o.start_time })));
+      return res.status(422).json({ error: `${violating.length} occurrence(s) break the booking rules.`, violations, occurrences });
+    }
+    const conflicting = occurrences.filter((o) => o.conflicts.length > 0 || o.events.length > 0 || o.closed || o.violations.length > 0);
+    if (conflicting.length > 0 && !skip_conflicts) {
+      return res.status(409).json({ error: `${conflicting.length} occurrence(s) conflict with existing reservations, events or closures.`, occurrences });
+    }
+    const result = await runAsync(
+      'INSERT INTO reservation_series (court_id, player_id, frequency, start_time, end_time, until_date, occurrence_count) VALUES (?,?,?,?,?,?,?)',
+      [court_id, player_id, frequency, start_time, end_time, until_date || null, count || null]
+    );
+    const seriesId = result.lastID;
+    for (const occ of occurrences) {
+      if (occ.conflicts.length > 0 || occ.events.length > 0 || occ.closed || occ.violations.length > 0) continue;
+      const quote = await quoteReservationPrice({ court_id, player_id, start_time: occ.start_time, end_time: occ.end_time });
+      const inserted = await runAsync(
+        'INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents, payment_status, series_id) VALUES (?,?,?,?,?,?,?,?)',
+        [court_id, player_id, occ.start_time, occ.end_time, 'booked', quote.price_cents, 'unpaid', seriesId]
+      );
+      await setReservationPlayers(inserted.lastID, player_id, guest_ids || []);
+    }
+    await invoicePlayers([player_id]);
+    const reservations = await allAsync(
+      `SELECT r.id, r.court_id, c.name AS court_name, r.player_id, p.name AS player_name, r.start_time, r.end_time, r.status, r.price_cents, r.payment_status, r.series_id, r.checked_in_at
+       FROM reservations r
+       JOIN courts c ON c.id = r.court_id
+       JOIN players p ON p.id = r.player_id
+       WHERE r.series_id = ?
+       ORDER BY r.start_time`,
+      [seriesId]
+    );
+    await attachReservationPlayers(reservations);
+    res.status(201).json({ id: seriesId, reservations, skipped: conflicting });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Waitlist
+app.get('/api/waitlist', async (req, res) => {
+  try {
+    const rows = await allAsync(
+      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status, w.claim_expires_at
+       FROM waitlist w
+       JOIN courts c ON c.id = w.court_id
+       JOIN players p ON p.id = w.player_id
+       ORDER BY w.created_at`);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/waitlist', async (req, res) => {
+  const { court_id, player_id, start_time, end_time, priority, status } = req.body;
+  try {
+    const result = await runAsync(
+      'INSERT INTO waitlist (court_id, player_id, start_time, end_time, priority, status) VALUES (?,?,?,?,?,?)',
+      [court_id, player_id, start_time, end_time, priority || 0, status || 'waiting']
+    );
+    const row = await getAsync(
+      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status, w.claim_expires_at
+       FROM waitlist w
+       JOIN courts c ON c.id = w.court_id
+       JOIN players p ON p.id = w.player_id
+       WHERE w.id = ?`,
+      [result.lastID]
+    );
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/waitlist/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const fields = req.body;
+  const setClauses = [];
+  const values = [];
+  for (const key of Object.keys(fields)) {
+    setClauses.push(`${key} = ?`);
+    values.push(fields[key]);
+  }
+  values.push(id);
+  try {
+    await runAsync(`UPDATE waitlist SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    // fetch updated waitlist entry
+    const updated = await getAsync(
+      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status, w.claim_expires_at
+       FROM waitlist w
+       JOIN courts c ON c.id = w.court_id
+       JOIN players p ON p.id = w.player_id
+       WHERE w.id = ?`,
+      [id]
+    );
+    // Try to turn active entries into a booking; cancelled/expired ones stay as they are
+    if (['waiting', 'notified'].includes(updated.status)) {
+      const reservation = await bookWaitlistEntry(updated);
+      if (reservation) return res.status(201).json(reservation);
+    }
+    // still in waitlist
+    res.json(updated);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, violations: err.violations });
+  }
+});
+
+// A notified player accepts the offered slot
+app.post('/api/waitlist/:id/claim', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const entry = await getAsync('SELECT id, court_id, player_id, start_time, end_time, status, claim_expires_at FROM waitlist WHERE id = ?', [id]);
+    if (!entry) return res.status(404).json({ error: 'Waitlist entry not found' });
+    if (entry.status !== 'notified' || entry.claim_expires_at <= formatDateTime(new Date())) {
+      return res.status(409).json({ error: 'This waitlist offer is no longer open.' });
+    }
+    const reservation = await bookWaitlistEntry(entry);
+    if (!reservation) return res.status(409).json({ error: 'The slot has been taken in the meantime.' });
+    res.status(201).json(reservation);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, violations: err.violations });
+  }
+});
+
+app.delete('/api/waitlist/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await runAsync('DELETE FROM waitlist WHERE id = ?', [id]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Events
+const PLAY_FORMATS = ['singles', 'doubles', 'mixed'];
+// Open-play sessions are drop-in events where players check in and rotate partners (see Open play)
+const EVENT_TYPES = ['tournament', 'open_play'];
+
+// Attach each event's divisions (skill levels with their own capacity) as row.divisions
+async function attachEventDivisions(rows) {
+  const divisions = rows.length === 0 ? [] : await allAsync(
+    `SELECT id, event_id, name, capacity, min_rating, max_rating FROM event_divisions
+     WHERE event_id IN (${rows.map(() => '?').join(',')})
+     ORDER BY sort_order, id`,
+    rows.map((row) => row.id)
+  );
+  rows.forEach((row) => {
+    row.divisions = divisions.filter((d) => d.event_id === row.id).map(({ event_id, ...d }) => d);
+  });
+  return rows;
+}
+
+// Replace the divisions of an event. Divisions are matched by name so registrations keep
+// theirs; a division that still has registrations cannot be dropped.
+async function saveEventDivisions(event_id, divisions) {
+  const names = divisions.map((d) => String(d.name || '').trim());
+  if (names.some((name) => !name) || new Set(names).size !== names.length) {
+    throw Object.assign(new Error('Division names must be unique and not empty.'), { status: 400 });
+  }
+  const current = await allAsync('SELECT id, name FROM event_divisions WHERE event_id = ?', [event_id]);
+  const dropped = current.filter((d) => !names.includes(d.name));
+  for (const division of dropped) {
+    const used = await getAsync("SELECT COUNT(*) AS n FROM event_registrations WHERE division_id = ? AND status != 'cancelled'", [division.id]);
+    if (used.n > 0) {
+      throw Object.assign(new Error(`Division ${division.name} still has ${used.n} registration(s).`), { status: 409 });
+    }
+  }
+  for (const division of dropped) {
+    await runAsync('UPDATE event_registrations SET division_id = NULL WHERE division_id = ?', [division.id]);
+    await runAsync('DELETE FROM event_divisions WHERE id = ?', [division.id]);
+  }
+  for (const [i, d] of divisions.entries()) {
+    const values = [d.capacity || null, d.min_rating ?? null, d.max_rating ?? null, i];
+    const existing = current.find((c) => c.name === names[i]);
+    if (existing) {
+      await runAsync('UPDATE event_divisions SET capacity = ?, min_rating = ?, max_rating = ?, sort_order = ? WHERE id = ?', [...values, existing.id]);
+    } else {
+      await runAsync('INSERT INTO event_divisions (capacity, min_rating, max_rating, sort_order, event_id, name) VALUES (?,?,?,?,?,?)', [...values, event_id, names[i]]);
+    }
+  }
+}
+
+app.get('/api/events', async (req, res) => {
+  try {
+    const rows = await allAsync(
+      `SELECT e.id, e.name, e.description, e.court_id, c.name AS court_name, e.start_time, e.end_time, e.max_participants, e.fee_cents, e.status, e.bracket_format, e.pool_count, e.play_format, e.event_type
+       FROM events e
+       LEFT JOIN courts c ON c.id = e.court_id
+       ORDER BY e.start_time`
+    );
+    res.json(await attachEventDivisions(rows));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/events', async (req, res) => {
+  const { name, description, court_id, start_time, end_time, max_participants, fee_cents, status, bracket_format, pool_count, play_format, event_type, divisions } = req.body;
+  try {
+    if (play_format && !PLAY_FORMATS.includes(play_format)) {
+      return res.status(400).json({ error: `play_format must be one of ${PLAY_FORMATS.join(', ')}` });
+    }
+    if (event_type && !EVENT_TYPES.includes(event_type)) {
+      return res.status(400).json({ error: `event_type must be one of ${EVENT_TYPES.join(', ')}` });
+    }
+    const closed = await findClosure(court_id || null, start_time, end_time, { sameDay: false });
+    if (closed) return res.status(422).json({ error: closed });
+    const booked = await findCourtReservations(court_id || null, start_time, end_time);
+    if (booked.length > 0) {
+      return res.status(409).json({ error: `Court is already booked: ${describeConflict('reservation', booked[0])}.`, conflict: { type: 'reservation', ...booked[0] } });
+    }
+    const result = await runAsync(
+      'INSERT INTO events (name, description, court_id, start_time, end_time, max_participants, fee_cents, status, bracket_format, pool_count, play_format, event_type) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)',
+      [name, description, court_id || null, start_time, end_time, max_participants || null, fee_cents || 0, status || 'open', bracket_format || null, pool_count || null, play_format || 'singles', event_type || 'tournament']
+    );
+    if (divisions) await saveEventDivisions(result.lastID, divisions);
+    const row = await getAsync(
+      `SELECT e.id, e.name, e.description, e.court_id, c.name AS court_name, e.start_time, e.end_time, e.max_participants, e.fee_cents, e.status, e.bracket_format, e.pool_count, e.play_format, e.event_type
+       FROM events e
+       LEFT JOIN courts c ON c.id = e.court_id
+       WHERE e.id = ?`,
+      [result.lastID]
+    );
+    res.status(201).json((await attachEventDivisions([row]))[0]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/events/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { divisions, ...fields } = req.body;
+  const setClauses = [];
+  const values = [];
+  for (const key of Object.keys(fields)) {
+    setClauses.push(`${key} = ?`);
+    values.push(fields[key]);
+  }
+  values.push(id);
+  try {
+    if ('court_id' in fields || fields.start_time || fields.end_time) {
+      const current = await getAsync('SELECT court_id, start_time, end_time FROM events WHERE id = ?', [id]);
+      const next = { ...current, ...fields };
+      const closed = await findClosure(next.court_id || null, next.start_time, next.end_time, { sameDay: false });
+      if (closed) return res.status(422).json({ error: closed });
+      const booked = await findCourtReservations(next.court_id || null, next.start_time, next.end_time);
+      if (booked.length > 0) {
+        return res.status(409).json({ error: `Court is already booked: ${describeConflict('reservation', booked[0])}.`, conflict: { type: 'reservation', ...booked[0] } });
+      }
+    }
+    if (fields.play_format && !PLAY_FORMATS.includes(fields.play_format)) {
+      return res.status(400).json({ error: `play_format must be one of ${PLAY_FORMATS.join(', ')}` });
+    }
+    if (fields.event_type && !EVENT_TYPES.includes(fields.event_type)) {
+      return res.status(400).json({ error: `event_type must be one of ${EVENT_TYPES.join(', ')}` });
+    }
+    if (setClauses.length > 0) await runAsync(`UPDATE events SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    if (divisions) await saveEventDivisions(id, divisions);
+    if ('max_participants' in fields || fields.status === 'open' || divisions) await syncEventCapacity(id);
+    if ('fee_cents' in fields) {
+      const registrations = await allAsync('SELECT DISTINCT player_id FROM event_registrations WHERE event_id = ?', [id]);
+      for (const r of registrations) await syncRegistrationPaymentStatus(id, r.player_id);
+    }
+    await invoiceSource({ source_type: 'event', source_id: id });
+    const updated = await getAsync(
+      `SELECT e.id, e.name, e.description, e.court_id, c.name AS court_name, e.start_time, e.end_time, e.max_participants, e.fee_cents, e.status, e.bracket_format, e.pool_count, e.play_format, e.event_type
+       FROM events e
+       LEFT JOIN courts c ON c.id = e.court_id
+       WHERE e.id = ?`,
+      [id]
+    );
+    res.json((await attachEventDivisions([updated]))[0]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/events/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const billed = await sourcePlayerIds({ source_type: 'event', source_id: id });
+    await removeEventMatchResults(id);
+    await runAsync('DELETE FROM event_matches WHERE event_id = ?', [id]);
+    const removed = await deleteMatches('WHERE open_play_game_id IN (SELECT id FROM open_play_games WHERE event_id = ?)', [id]);
+    if (removed) await recomputeRatings(removed);
+    await runAsync('DELETE FROM open_play_slots WHERE event_id = ?', [id]);
+    await runAsync('DELETE FROM open_play_games WHERE event_id = ?', [id]);
+    await runAsync('DELETE FROM event_registrations WHERE event_id = ?', [id]);
+    await runAsync("DELETE FROM promo_redemptions WHERE source_type = 'event' AND source_id = ?", [id]);
+    await runAsync('DELETE FROM event_divisions WHERE event_id = ?', [id]);
+    await runAsync('DELETE FROM events WHERE id = ?', [id]);
+    await invoicePlayers(billed);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Event registrations
+const REGISTRATION_SELECT = `SELECT er.id, er.event_id, er.player_id, p.name AS player_name, er.registered_at, er.payment_status, er.status, er.seed,
+         er.division_id, d.name AS division_name, er.partner_id, pp.name AS partner_name, er.looking_for_partner
+       FROM event_registrations er
+       JOIN players p ON p.id = er.player_id
+       LEFT JOIN players pp ON pp.id = er.partner_id
+       LEFT JOIN event_divisions d ON d.id = er.division_id`;
+
+app.get('/api/events/:eventId/registrations', async (req, res) => {
+  const eventId = parseInt(req.params.eventId, 10);
+  try {
+    const rows = await allAsync(
+      `${REGISTRATION_SELECT}
+       WHERE er.event_id = ?
+       ORDER BY d.sort_order IS NULL, d.sort_order, er.registered_at, er.id`,
+      [eventId]
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Places are counted per entry: a player in singles, a team in doubles. Two registrations
+// naming each other are one team; a player still looking for a partner holds a place alone.
+function groupRegistrationUnits(rows) {
+  const units = [];
+  const grouped = new Set();
+  for (const row of rows) {
+    if (grouped.has(row.id)) continue;
+    const partner = row.partner_id && rows.find((r) => r.player_id === row.partner_id && r.partner_id === row.player_id);
+    const members = partner ? [row, partner] : [row];
+    members.forEach((m) => grouped.add(m.id));
+    units.push({ division_id: row.division_id, status: row.status, members });
+  }
+  return units;
+}
+
+// Live registrations of an event grouped into entries, with helpers to check for room
+// in the event (max_participants) and in a division (its capacity)
+async function loadEventPlaces(event_id) {
+  const event = await getAsync('SELECT id, name, start_time, max_participants, status, play_format, fee_cents FROM events WHERE id = ?', [event_id]);
+  if (!event) return null;
+  const divisions = await allAsync('SELECT id, name, capacity, min_rating, max_rating FROM event_divisions WHERE event_id = ? ORDER BY sort_order, id', [event_id]);
+  const rows = await allAsync(
+    "SELECT id, player_id, partner_id, division_id, status FROM event_registrations WHERE event_id = ? AND status IN ('registered','attended','waitlisted') ORDER BY registered_at, id",
+    [event_id]
+  );
+  const units = groupRegistrationUnits(rows);
+  const taken = (division_id) => units.filter((u) => u.status !== 'waitlisted' && (division_id === undefined || u.division_id === division_id)).length;
+  const hasRoom = (division_id) => {
+    if (event.max_participants && taken() >= event.max_participants) return false;
+    const division = divisions.find((d) => d.id === division_id);
+    return !division || !division.capacity || taken(division.id) < division.capacity;
+  };
+  const full = () => Boolean(event.max_participants && taken() >= event.max_participants)
+    || (divisions.length > 0 && divisions.every((d) => !hasRoom(d.id)));
+  return { event, divisions, units, hasRoom, full };
+}
+
+// Keep an event within its capacity: fill free places from the waitlist in registration order
+// (a waitlisted team moves up together), then flip an open event to full (or back) to match.
+// Returns the promoted registrations.
+async function syncEventCapacity(event_id) {
+  const places = await loadEventPlaces(event_id);
+  if (!places || !['open', 'full'].includes(places.event.status)) return [];
+  const { event } = places;
+  const promoted = [];
+  const now = formatDateTime(new Date());
+  for (const unit of places.units.filter((u) => u.status === 'waitlisted')) {
+    if (!places.hasRoom(unit.division_id)) continue;
+    for (const member of unit.members) {
+      await runAsync("UPDATE event_registrations SET status = 'registered' WHERE id = ?", [member.id]);
+      await runAsync(
+        'INSERT INTO notifications (player_id, channel, subject, body, scheduled_at, status) VALUES (?,?,?,?,?,?)',
+        [member.player_id, 'sms', 'Đã có chỗ trong sự kiện', `Bạn đã được chuyển từ danh sách chờ vào ${event.name} (${event.start_time}).`, now, 'queued']
+      );
+      promoted.push(member.id);
+    }
+    unit.status = 'registered';
+  }
+  const status = places.full() ? 'full' : 'open';
+  if (status !== event.status) await runAsync('UPDATE events SET status = ? WHERE id = ?', [status, event_id]);
+  return promoted;
+}
+
+// When one half of a team drops out the other stays registered and looks for a new partner
+async function releasePartner(registration) {
+  if (!registration.partner_id) return;
+  await runAsync(
+    'UPDATE event_registrations SET partner_id = NULL, looking_for_partner = 1 WHERE event_id = ? AND player_id = ? AND partner_id = ?',
+    [registration.event_id, registration.partner_id, registration.player_id]
+  );
+}
+
+// A player can hold one live registration per event. In doubles a partner can be named and is
+// registered along with the player; without one the player joins the looking-for-partner pool.
+// Once the division or the event is full new entries go to the waitlist.
+app.post('/api/events/:eventId/registrations', async (req, res) => {
+  const eventId = parseInt(req.params.eventId, 10);
+  const { player_id, payment_status, status, promo_code } = req.body;
+  const partner_id = req.body.partner_id ? parseInt(req.body.partner_id, 10) : null;
+  try {
+    const places = await loadEventPlaces(eventId);
+    if (!places) return res.status(404).json({ error: 'Event not found' });
+    const { event, divisions } = places;
+    if (!['open', 'full'].includes(event.status)) {
+      return res.status(422).json({ error: `Event is ${event.status}; registrations are not accepted.` });
+    }
+    const doubles = event.play_format !== 'singles';
+    if (partner_id && !doubles) return res.status(400).json({ error: 'Singles events do not take partners.' });
+    if (partner_id && partner_id === parseInt(player_id, 10)) return res.status(400).json({ error: 'A player cannot partner themselves.' });
+    let division = null;
+    if (divisions.length > 0) {
+      division = divisions.find((d) => d.id === parseInt(req.body.division_id, 10));
+      if (!division) return res.status(400).json({ error: `Choose a division: ${divisions.map((d) => d.name).join(', ')}` });
+    }
+    const ids = partner_id ? [player_id, partner_id] : [player_id];
+    const players = await allAsync(`SELECT id, name, rating FROM players WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+    if (players.length !== ids.length) return res.status(400).json({ error: 'Unknown player' });
+    for (const player of players) {
+      const existing = await getAsync(
+        "SELECT id, status FROM event_registrations WHERE event_id = ? AND player_id = ? AND status != 'cancelled'",
+        [eventId, player.id]
+      );
+      if (existing) {
+        return res.status(409).json({ error: `${player.name} is already ${existing.status} for this event.`, registration_id: existing.id });
+      }
+      if (division && ((division.min_rating != null && player.rating < division.min_rating) || (division.max_rating != null && player.rating > division.max_rating))) {
+        return res.status(422).json({ error: `${player.name} (rating ${player.rating}) does not fit division ${division.name}.` });
+      }
+    }
+    // the code discounts the registering player's fee; a fee already discounted keeps its code
+    let promo = null;
+    if (promo_code) {
+      const redeemed = await getAsync("SELECT id FROM promo_redemptions WHERE source_type = 'event' AND source_id = ? AND player_id = ?", [eventId, player_id]);
+      if (redeemed) return res.status(409).json({ error: 'A promo code was already applied to this player\'s fee for the event.' });
+      promo = await checkPromoCode(promo_code, { source_type: 'event', player_id, amount_cents: event.fee_cents || 0 });
+    }
+    const entryStatus = places.hasRoom(division ? division.id : null) ? status || 'registered' : 'waitlisted';
+    const division_id = division ? division.id : null;
+    const result = await runAsync(
+      'INSERT INTO event_registrations (event_id, player_id, payment_status, status, division_id, partner_id, looking_for_partner) VALUES (?,?,?,?,?,?,?)',
+      [eventId, player_id, payment_status || 'unpaid', entryStatus, division_id, partner_id, doubles && !partner_id ? 1 : 0]
+    );
+    let partnerRegistration = null;
+    if (partner_id) {
+      partnerRegistration = await runAsync(
+        'INSERT INTO event_registrations (event_id, player_id, payment_status, status, division_id, partner_id, looking_for_partner) VALUES (?,?,?,?,?,?,?)',
+        [eventId, partner_id, 'unpaid', entryStatus, division_id, player_id, 0]
+      );
+      await syncRegistrationPaymentStatus(eventId, partner_id);
+    }
+    if (promo) await redeemPromoCode(promo, { player_id, source_type: 'event', source_id: eventId });
+    // the fee may already have been paid, e.g. before an earlier registration was cancelled
+    if (!payment_status) await syncRegistrationPaymentStatus(eventId, player_id);
+    await syncEventCapacity(eventId);
+    await invoiceSource({ source_type: 'event', source_id: eventId });
+    const row = await getAsync(
+      `${REGISTRATION_SELECT}
+       WHERE er.id = ?`,
+      [result.lastID]
+    );
+    if (partnerRegistration) row.partner_registration_id = partnerRegistration.lastID;
+    if (promo) row.discount_cents = promo.discount_cents;
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Pair two registrations of the same division into a team (e.g. from the looking-for-partner pool).
+// If either already holds a place the team keeps it.
+app.post('/api/event-registrations/:id/partner', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const otherId = parseInt(req.body.partner_registration_id, 10);
+  try {
+    const a = await getAsync('SELECT id, event_id, player_id, partner_id, division_id, status FROM event_registrations WHERE id = ?', [id]);
+    const b = await getAsync('SELECT id, event_id, player_id, partner_id, division_id, status FROM event_registrations WHERE id = ?', [otherId]);
+    if (!a || !b) return res.status(404).json({ error: 'Registration not found' });
+    if (a.id === b.id || a.event_id !== b.event_id) {
+      return res.status(400).json({ error: 'Partners must be two registrations of the same event.' });
+    }
+    const event = await getAsync('SELECT play_format FROM events WHERE id = ?', [a.event_id]);
+    if (event.play_format === 'singles') return res.status(400).json({ error: 'Singles events do not take partners.' });
+    if (a.division_id !== b.division_id) return res.status(400).json({ error: 'Partners must play in the same division.' });
+    const live = ['registered', 'attended', 'waitlisted'];
+    if (!live.includes(a.status) || !live.includes(b.status)) return res.status(409).json({ error: 'Both registrations must be active.' });
+    if (a.partner_id || b.partner_id) return res.status(409).json({ error: 'One of the players already has a partner.' });
+    const holdsPlace = a.status !== 'waitlisted' || b.status !== 'waitlisted';
+    for (const [self, other] of [[a, b], [b, a]]) {
+      await runAsync(
+        'UPDATE event_registrations SET partner_id = ?, looking_for_partner = 0, status = ? WHERE id = ?',
+        [other.player_id, holdsPlace && self.status === 'waitlisted' ? 'registered' : self.status, self.id]
+      );
+    }
+    const promoted = await syncEventCapacity(a.event_id);
+    await invoiceSource({ source_type: 'event', source_id: a.event_id });
+    const row = await getAsync(
+      `${REGISTRATION_SELECT}
+       WHERE er.id = ?`,
+      [id]
+    );
+    if (promoted.length > 0) row.promoted = promoted;
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Settle the event fee of a registration that is being cancelled or marked no-show.
+// Leaving the waitlist never costs a fee since no place was held.
+async function settleRegistration(registration, no_show) {
+  const event = await getAsync('SELECT id, start_time, fee_cents FROM events WHERE id = ?', [registration.event_id]);
+  if (!event) return null;
+  const source = { source_type: 'event', source_id: event.id, player_id: registration.player_id };
+  const settlement = await settleCancellation({
+    applies_to: 'event',
+    source,
+    payer_id: registration.player_id,
+    start_time: event.start_time,
+    price_cents: registration.status === 'waitlisted' ? 0 : event.fee_cents,
+    no_show
+  });
+  const payment_status = paymentStatusFromTotals(await sourcePaymentTotals(source), event.fee_cents, true);
+  await runAsync('UPDATE event_registrations SET payment_status = ? WHERE id = ?', [payment_status, registration.id]);
+  return settlement;
+}
+
+app.patch('/api/event-registrations/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const fields = req.body;
+  const setClauses = [];
+  const values = [];
+  for (const key of Object.keys(fields)) {
+    setClauses.push(`${key} = ?`);
+    values.push(fields[key]);
+  }
+  values.push(id);
+  try {
+    const current = await getAsync('SELECT id, event_id, player_id, partner_id, status FROM event_registrations WHERE id = ?', [id]);
+    if (!current) return res.status(404).json({ error: 'Registration not found' });
+    await runAsync(`UPDATE event_registrations SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    // a team plays in one division
+    if ('division_id' in fields && current.partner_id) {
+      await runAsync('UPDATE event_registrations SET division_id = ? WHERE event_id = ? AND player_id = ? AND partner_id = ?', [fields.division_id, current.event_id, current.partner_id, current.player_id]);
+    }
+    let cancellation = null;
+    if (['cancelled', 'no_show'].includes(fields.status) && !['cancelled', 'no_show'].includes(current.status)) {
+      cancellation = await settleRegistration(current, fields.status === 'no_show');
+      await releasePartner(current);
+    }
+    const promoted = fields.status && fields.status !== current.status ? await syncEventCapacity(current.event_id) : [];
+    await invoiceSource({ source_type: 'event', source_id: current.event_id });
+    const row = await getAsync(
+      `${REGISTRATION_SELECT}
+       WHERE er.id = ?`,
+      [id]
+    );
+    if (cancellation) row.cancellation = cancellation;
+    if (promoted.length > 0) row.promoted = promoted;
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/event-registrations/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const current = await getAsync('SELECT id, event_id, player_id, partner_id, status FROM event_registrations WHERE id = ?', [id]);
+    let cancellation = null;
+    if (current && ['registered', 'waitlisted'].includes(current.status)) {
+      cancellation = await settleRegistration(current, false);
+    }
+    if (current) await releasePartner(current);
+    await runAsync('DELETE FROM event_registrations WHERE id = ?', [id]);
+    // the code goes with the player's last registration for the event
+    if (current) {
+      await runAsync(
+        `DELETE FROM promo_redemptions WHERE source_type = 'event' AND source_id = ? AND player_id = ?
+           AND NOT EXISTS (SELECT 1 FROM event_registrations WHERE event_id = ? AND player_id = ?)`,
+        [current.event_id, current.player_id, current.event_id, current.player_id]
+      );
+    }
+    const promoted = current ? await syncEventCapacity(current.event_id) : [];
+    if (current) await invoicePlayers([current.player_id, ...await sourcePlayerIds({ source_type: 'event', source_id: current.event_id })]);
+    res.json({ ok: true, cancellation, promoted });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tournament brackets
+
+const BRACKET_FORMATS = ['single_elimination', 'double_elimination', 'round_robin', 'pool_play'];
+// Minutes set aside for each match when scheduling a bracket
+const MATCH_MINUTES = 30;
+// Pool play sends this many players from each pool into the knockout
+const POOL_ADVANCE = 2;
+
+// Registered entries of an event in seeding order: explicit seeds first, then by rating, then
+// registration order. In doubles an entry is a team, represented by its first registration;
+// players still looking for a partner are left out.
+async function loadSeededEntries(event_id) {
+  const event = await getAsync('SELECT play_format FROM events WHERE id = ?', [event_id]);
+  const rows = await allAsync(
+    `SELECT er.id, er.player_id, er.partner_id, p.name AS player_name, p.rating, er.seed
+     FROM event_registrations er
+     JOIN players p ON p.id = er.player_id
+     WHERE er.event_id = ? AND er.status IN ('registered','attended')
+     ORDER BY er.registered_at, er.id`,
+    [event_id]
+  );
+  let entries = rows;
+  if (event && event.play_format !== 'singles') {
+    entries = groupRegistrationUnits(rows).filter((unit) => unit.members.length === 2).map(({ members: [a, b] }) => ({
+      id: a.id,
+      player_id: a.player_id,
+      partner_id: b.player_id,
+      player_name: `${a.player_name} / ${b.player_name}`,
+      rating: Math.round((a.rating + b.rating) / 2),
+      seed: a.seed ?? b.seed
+    }));
+  }
+  return entries.sort((x, y) => (x.seed == null) - (y.seed == null) || x.seed - y.seed || y.rating - x.rating);
+}
+
+// Draw positions for a power-of-two bracket, so that seeds 1 and 2 can only meet in the final
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, sum - seed]);
+  }
+  return order;
+}
+
+// Planned matches are plain objects linked by key; they get ids when inserted.
+// wave orders matches in time: a match is only scheduled after the waves feeding it.
+function planElimination(entries, stage) {
+  const size = 2 ** Math.ceil(Math.log2(Math.max(entries.length, 2)));
+  const order = seedOrder(size);
+  const rounds = Math.log2(size);
+  const plan = [];
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / 2 ** round;
+    for (let position = 1; position <= count; position++) {
+      const match = { key: `${stage}-${round}-${position}`, stage, round, position, wave: round };
+      if (round === 1) {
+        match.entry1_id = entries[order[2 * position - 2] - 1]?.id ?? null;
+        match.entry2_id = entries[order[2 * position - 1] - 1]?.id ?? null;
+        match.bye = !match.entry1_id || !match.entry2_id;
+      }
+      if (round < rounds) {
+        match.next = `${stage}-${round + 1}-${Math.ceil(position / 2)}`;
+        match.next_slot = position % 2 === 1 ? 1 : 2;
+      }
+      plan.push(match);
+    }
+  }
+  return plan;
+}
+
+// Winners bracket, a losers bracket fed by its losers, and a final between both champions
+function planDoubleElimination(entries) {
+  const winners = planElimination(entries, 'winners');
+  const rounds = Math.max(...winners.map((m) => m.round));
+  if (rounds === 1) return winners;
+  const size = 2 ** rounds;
+  winners.forEach((m) => { m.wave = m.round === 1 ? 1 : 2 * m.round - 2; });
+  const losers = [];
+  const losersRounds = 2 * (rounds - 1);
+  for (let round = 1; round <= losersRounds; round++) {
+    const count = size / 2 ** (Math.ceil(round / 2) + 1);
+    for (let position = 1; position <= count; position++) {
+      const match = { key: `losers-${round}-${position}`, stage: 'losers', round, position, wave: round + 1 };
+      if (round < losersRounds) {
+        // odd rounds pair up winners of the previous round; even rounds meet a drop-down from the winners bracket
+        if (round % 2 === 1) {
+          match.next = `losers-${round + 1}-${position}`;
+          match.next_slot = 1;
+        } else {
+          match.next = `losers-${round + 1}-${Math.ceil(position / 2)}`;
+          match.next_slot = position % 2 === 1 ? 1 : 2;
+        }
+      } else {
+        match.next = 'final-1-1';
+        match.next_slot = 2;
+      }
+      losers.push(match);
+    }
+  }
+  for (const match of winners) {
+    if (match.round === 1) {
+      match.loser_next = `losers-1-${Math.ceil(match.position / 2)}`;
+      match.loser_next_slot = match.position % 2 === 1 ? 1 : 2;
+    } else {
+      // drop-downs are reversed to keep early rematches apart
+      const count = size / 2 ** match.round;
+      match.loser_next = `losers-${2 * (match.round - 1)}-${count - match.position + 1}`;
+      match.loser_next_slot = 2;
+    }
+    if (match.round === rounds) {
+      match.next = 'final-1-1';
+      match.next_slot = 1;
+    }
+  }
+  const final = { key: 'final-1-1', stage: 'final', round: 1, position: 1, wave: 2 * rounds };
+  return [...winners, ...losers, final];
+}
+
+// Everyone plays everyone (circle method), one match per pair
+function planRoundRobin(entries, stage, pool = null) {
+  const ids = entries.map((e) => e.id);
+  if (ids.length % 2 === 1) ids.push(null);
+  const plan = [];
+  for (let round = 1; round < ids.length; round++) {
+    let position = 0;
+    for (let i = 0; i < ids.length / 2; i++) {
+      const a = ids[i];
+      const b = ids[ids.length - 1 - i];
+      if (a && b) plan.push({ key: `${stage}-${pool}-${round}-${++position}`, stage, pool, round, position, entry1_id: a, entry2_id: b, wave: round });
+    }
+    ids.splice(1, 0, ids.pop());
+  }
+  return plan;
+}
+
+// Seeds are snaked across pools so every pool gets a similar spread
+function planPools(entries, poolCount) {
+  const pools = Array.from({ length: poolCount }, () => []);
+  entries.forEach((entry, i) => {
+    const lap = Math.floor(i / poolCount);
+    pools[lap % 2 === 0 ? i % poolCount : poolCount - 1 - (i % poolCount)].push(entry);
+  });
+  return pools.flatMap((pool, i) => planRoundRobin(pool, 'pool', i + 1));
+}
+
+// Give planned matches a court and start time, wave after wave, from startAt on.
+// Byes in the first round are left unscheduled.
+async function scheduleMatches(event, plan, startAt) {
+  const courts = event.court_id ? [{ id: event.court_id }] : await allAsync('SELECT id FROM courts WHERE is_active = 1 ORDER BY id');
+  if (courts.length === 0) return;
+  let slot = parseDateTime(startAt);
+  const waves = [...new Set(plan.map((m) => m.wave))].sort((a, b) => a - b);
+  for (const wave of waves) {
+    const matches = plan.filter((m) => m.wave === wave && !m.bye);
+    for (let i = 0; i < matches.length; i += courts.length) {
+      matches.slice(i, i + courts.length).forEach((m, j) => {
+        m.court_id = courts[j].id;
+        m.scheduled_time = formatDateTime(slot);
+      });
+      slot = new Date(slot.getTime() + MATCH_MINUTES * 60000);
+    }
+  }
+}
+
+async function insertMatchPlan(event_id, plan) {
+  const ids = new Map();
+  for (const m of plan) {
+    const result = await runAsync(
+      'INSERT INTO event_matches (event_id, stage, round, position, pool, entry1_id, entry2_id, court_id, scheduled_time) VALUES (?,?,?,?,?,?,?,?,?)',
+      [event_id, m.stage, m.round, m.position, m.pool ?? null, m.entry1_id || null, m.entry2_id || null, m.court_id || null, m.scheduled_time || null]
+    );
+    ids.set(m.key, result.lastID);
+  }
+  for (const m of plan) {
+    if (!m.next && !m.loser_next) continue;
+    await runAsync(
+      'UPDATE event_matches SET next_match_id = ?, next_slot = ?, loser_next_match_id = ?, loser_next_slot = ? WHERE id = ?',
+      [ids.get(m.next) || null, m.next_slot || null, ids.get(m.loser_next) || null, m.loser_next_slot || null, ids.get(m.key)]
+    );
+  }
+}
+
+// Put the winner (and, in double elimination, the loser) of a match into the matches they move on to
+async function advanceFromMatch(match, winner_id, loser_id) {
+  if (match.next_match_id) {
+    await runAsync(`UPDATE event_matches SET entry${match.next_slot}_id = ? WHERE id = ?`, [winner_id, match.next_match_id]);
+  }
+  if (match.loser_next_match_id) {
+    await runAsync(`UPDATE event_matches SET entry${match.loser_next_slot}_id = ? WHERE id = ?`, [loser_id, match.loser_next_match_id]);
+  }
+}
+
+// Settle matches that can never be played: once nothing more can arrive in either slot,
+// a match with fewer than two players is a bye and passes its only player (if any) on.
+async function resolveByes(event_id) {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const matches = await allAsync('SELECT * FROM event_matches WHERE event_id = ?', [event_id]);
+    const slotSettled = (match, slot) => match[`entry${slot}_id`] || matches.every((f) => f.status !== 'pending'
+      || !((f.next_match_id === match.id && f.next_slot === slot) || (f.loser_next_match_id === match.id && f.loser_next_slot === slot)));
+    for (const match of matches) {
+      if (match.status !== 'pending' || (match.entry1_id && match.entry2_id)) continue;
+      if (!slotSettled(match, 1) || !slotSettled(match, 2)) continue;
+      const winner = match.entry1_id || match.entry2_id || null;
+      await runAsync(
+        "UPDATE event_matches SET status = 'bye', winner_entry_id = ?, court_id = NULL, scheduled_time = NULL WHERE id = ?",
+        [winner, match.id]
+      );
+      if (winner) await advanceFromMatch(match, winner, null);
+      changed = true;
+      break;
+    }
+  }
+}
+
+// '11-7, 9-11, 11-5' → [[11, 7], [9, 11], [11, 5]]; null when malformed
+function parseScore(score) {
+  const games = String(score).split(',').map((g) => g.trim()).filter(Boolean).map((g) => g.split('-').map((n) => parseInt(n, 10)));
+  if (games.length === 0 || games.some((g) => g.length !== 2 || g.some((n) => !(n >= 0)) || g[0] === g[1])) return null;
+  return games;
+}
+
+// Pool or round-robin table: wins, then game difference, then point difference
+function computeStandings(matches, entries) {
+  const rows = new Map();
+  const row = (id, pool) => {
+    if (!rows.has(id)) {
+      const entry = entries.find((e) => e.id === id);
+      rows.set(id, { entry_id: id, player_name: entry ? entry.player_name : null, pool, played: 0, wins: 0, losses: 0, game_diff: 0, point_diff: 0 });
+    }
+    return rows.get(id);
+  };
+  for (const m of matches) {
+    const a = row(m.entry1_id, m.pool);
+    const b = row(m.entry2_id, m.pool);
+    if (m.status !== 'completed') continue;
+    const games = parseScore(m.score) || [];
+    const aGames = games.filter(([x, y]) => x > y).length;
+    const points = games.reduce((sum, [x, y]) => sum + x - y, 0);
+    a.played++; b.played++;
+    if (m.winner_entry_id === a.entry_id) { a.wins++; b.losses++; } else { b.wins++; a.losses++; }
+    a.game_diff += 2 * aGames - games.length; b.game_diff -= 2 * aGames - games.length;
+    a.point_diff += points; b.point_diff -= points;
+  }
+  return [...rows.values()].sort((x, y) => (x.pool || 0) - (y.pool || 0) || y.wins - x.wins || y.game_diff - x.game_diff || y.point_diff - x.point_diff);
+}
+
+// Bracket with player and court names, plus standings for round-robin and pool stages
+async function loadBracket(event_id) {
+  const event = await getAsync('SELECT id, name, court_id, start_time, bracket_format, pool_count FROM events WHERE id = ?', [event_id]);
+  if (!event) return null;
+  const matches = await allAsync(
+    `SELECT m.id, m.stage, m.round, m.position, m.pool, m.entry1_id, p1.name AS entry1_name, m.entry2_id, p2.name AS entry2_name,
+            m.winner_entry_id, m.score, m.court_id, c.name AS court_name, m.scheduled_time, m.status, m.next_match_id, m.loser_next_match_id
+     FROM event_matches m
+     LEFT JOIN event_registrations r1 ON r1.id = m.entry1_id
+     LEFT JOIN players p1 ON p1.id = r1.player_id
+     LEFT JOIN event_registrations r2 ON r2.id = m.entry2_id
+     LEFT JOIN players p2 ON p2.id = r2.player_id
+     LEFT JOIN courts c ON c.id = m.court_id
+     WHERE m.event_id = ?
+     ORDER BY m.id`,
+    [event_id]
+  );
+  const entries = await loadSeededEntries(event_id);
+  // doubles entries are named after both partners
+  for (const m of matches) {
+    for (const slot of [1, 2]) {
+      const entry = entries.find((e) => e.id === m[`entry${slot}_id`]);
+      if (entry) m[`entry${slot}_name`] = entry.player_name;
+    }
+  }
+  const standings = computeStandings(matches.filter((m) => ['round_robin', 'pool'].includes(m.stage)), entries);
+  return { event_id: event.id, format: event.bracket_format, pool_count: event.pool_count, entries, matches, standings };
+}
+
+// When the last pool match is in, seed the top players of each pool into a knockout
+async function generateKnockoutIfPoolsDone(event_id) {
+  const bracket = await loadBracket(event_id);
+  const pools = bracket.matches.filter((m) => m.stage === 'pool');
+  if (pools.length === 0 || pools.some((m) => m.status !== 'completed') || bracket.matches.some((m) => m.stage === 'knockout')) return;
+  const qualifiers = [];
+  for (let rank = 0; rank < POOL_ADVANCE; rank++) {
+    const poolNumbers = [...new Set(bracket.standings.map((s) => s.pool))];
+    for (const pool of poolNumbers) {
+      const standing = bracket.standings.filter((s) => s.pool === pool)[rank];
+      if (standing) qualifiers.push({ id: standing.entry_id });
+    }
+  }
+  const event = await getAsync('SELECT id, court_id, start_time FROM events WHERE id = ?', [event_id]);
+  const lastPool = pools.map((m) => m.scheduled_time).filter(Boolean).sort().pop();
+  const startAt = lastPool ? formatDateTime(new Date(parseDateTime(lastPool).getTime() + MATCH_MINUTES * 60000)) : event.start_time;
+  const plan = planElimination(qualifiers, 'knockout');
+  await scheduleMatches(event, plan, startAt);
+  await insertMatchPlan(event_id, plan);
+  await resolveByes(event_id);
+}
+
+app.get('/api/events/:id/bracket', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const bracket = await loadBracket(id);
+    if (!bracket) return res.status(404).json({ error: 'Event not found' });
+    res.json(bracket);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// (Re)generate the bracket from the current registrations. Pass force to throw away results.
+app.post('/api/events/:id/bracket', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const event = await getAsync('SELECT id, court_id, start_time, bracket_format, pool_count FROM events WHERE id = ?', [id]);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    const format = req.body.format || event.bracket_format;
+    if (!BRACKET_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${BRACKET_FORMATS.join(', ')}` });
+    }
+    const entries = await loadSeededEntries(id);
+    if (entries.length < 2) return res.status(422).json({ error: 'A bracket needs at least two registered players.' });
+    const played = await getAsync("SELECT COUNT(*) AS n FROM event_matches WHERE event_id = ? AND status = 'completed'", [id]);
+    if (played.n > 0 && !req.body.force) {
+      return res.status(409).json({ error: `${played.n} match(es) already have results. Regenerate with force to discard them.` });
+    }
+    const poolCount = Math.min(
+      Math.max(1, parseInt(req.body.pool_count || event.pool_count || Math.round(entries.length / 4), 10)),
+      Math.floor(entries.length / 2)
+    );
+    let plan;
+    if (format === 'single_elimination') plan = planElimination(entries, 'winners');
+    else if (format === 'double_elimination') plan = planDoubleElimination(entries);
+    else if (format === 'round_robin') plan = planRoundRobin(entries, 'round_robin');
+    else plan = planPools(entries, poolCount);
+    await removeEventMatchResults(id);
+    await runAsync('DELETE FROM event_matches WHERE event_id = ?', [id]);
+    await runAsync('UPDATE events SET bracket_format = ?, pool_count = ? WHERE id = ?', [format, format === 'pool_play' ? poolCount : event.pool_count, id]);
+    await scheduleMatches(event, plan, event.start_time);
+    await insertMatchPlan(id, plan);
+    await resolveByes(id);
+    res.status(201).json(await loadBracket(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/events/:id/bracket', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await removeEventMatchResults(id);
+    await runAsync('DELETE FROM event_matches WHERE event_id = ?', [id]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Record a score (winner advances automatically) or move a match to another court/time
+app.patch('/api/event-matches/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { score, court_id, scheduled_time } = req.body;
+  try {
+    const match = await getAsync('SELECT * FROM event_matches WHERE id = ?', [id]);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (court_id !== undefined || scheduled_time !== undefined) {
+      await runAsync(
+        'UPDATE event_matches SET court_id = ?, scheduled_time = ? WHERE id = ?',
+        [court_id !== undefined ? court_id || null : match.court_id, scheduled_time !== undefined ? scheduled_time || null : match.scheduled_time, id]
+      );
+    }
+    if (score !== undefined) {
+      if (match.status === 'bye') return res.status(409).json({ error: 'This match is a bye.' });
+      if (!match.entry1_id || !match.entry2_id) return res.status(409).json({ error: 'Both players of this match are not known yet.' });
+      const games = parseScore(score);
+      if (!games) return res.status(400).json({ error: 'Score must look like "11-7, 9-11, 11-5".' });
+      const won1 = games.filter(([a, b]) => a > b).length;
+      if (won1 * 2 === games.length) return res.status(400).json({ error: 'The score does not produce a winner.' });
+      const winner = won1 * 2 > games.length ? match.entry1_id : match.entry2_id;
+      const loser = winner === match.entry1_id ? match.entry2_id : match.entry1_id;
+      // Changing a result is only possible until the next match has been played
+      const downstream = await getAsync(
+        "SELECT COUNT(*) AS n FROM event_matches WHERE id IN (?, ?) AND status = 'completed'",
+        [match.next_match_id || 0, match.loser_next_match_id || 0]
+      );
+      if (downstream.n > 0) return res.status(409).json({ error: 'The following match has already been played.' });
+      await runAsync(
+        "UPDATE event_matches SET score = ?, winner_entry_id = ?, status = 'completed' WHERE id = ?",
+        [games.map((g) => g.join('-')).join(', '), winner, id]
+      );
+      await advanceFromMatch(match, winner, loser);
+      await recordEventMatchResult(id);
+      await resolveByes(match.event_id);
+      await generateKnockoutIfPoolsDone(match.event_id);
+    }
+    res.json(await loadBracket(match.event_id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Match results and skill ratings
+
+// Elo-style rating: everyone starts at INITIAL_RATING; a doubles team plays at its average rating
+const INITIAL_RATING = 1000;
+const RATING_K = 32;
+// Trend shown next to the rating = change over this many days
+const RATING_TREND_DAYS = 30;
+const PLAYER_COLUMNS = `id, name, phone, email, status, expiry, no_show_count, rating,
+  (SELECT COUNT(*) FROM rating_history h WHERE h.player_id = players.id) AS rated_matches,
+  COALESCE((SELECT SUM(h.rating_after - h.rating_before) FROM rating_history h
+            WHERE h.player_id = players.id AND h.played_at >= strftime('%Y-%m-%d %H:%M', 'now', 'localtime', '-${RATING_TREND_DAYS} days')), 0) AS rating_trend`;
+
+// Matches with their teams; team1/team2 are lists of { player_id, player_name, rating_before, rating_after }
+async function loadMatches(where = '', params = []) {
+  const matches = await allAsync(
+    `SELECT m.id, m.played_at, m.format, m.score, m.winner_team, m.court_id, c.name AS court_name, m.event_match_id, m.open_play_game_id, m.notes
+     FROM matches m
+     LEFT JOIN courts c ON c.id = m.court_id
+     ${where}
+     ORDER BY m.played_at DESC, m.id DESC`,
+    params
+  );
+  if (matches.length === 0) return matches;
+  const players = await allAsync(
+    `SELECT mp.match_id, mp.team, mp.player_id, p.name AS player_name, h.rating_before, h.rating_after
+     FROM match_players mp
+     JOIN players p ON p.id = mp.player_id
+     LEFT JOIN rating_history h ON h.match_id = mp.match_id AND h.player_id = mp.player_id
+     WHERE mp.match_id IN (${matches.map(() => '?').join(',')})
+     ORDER BY mp.team, mp.player_id`,
+    matches.map((m) => m.id)
+  );
+  return matches.map((m) => {
+    const mine = players.filter((p) => p.match_id === m.id);
+    const team = (n) => mine.filter((p) => p.team === n).map(({ match_id, team: _t, ...p }) => p);
+    return { ...m, team1: team(1), team2: team(2) };
+  });
+}
+
+// Validate a result and store it with its players. Throws errors carrying an HTTP status.
+async function saveMatch({ played_at, format, team1, team2, score, court_id, notes, event_match_id, open_play_game_id }) {
+  const size = format === 'doubles' ? 2 : format === 'singles' ? 1 : null;
+  if (!size) throw Object.assign(new Error('format must be singles or doubles'), { status: 400 });
+  const ids = [...(team1 || []), ...(team2 || [])].map((id) => parseInt(id, 10));
+  if ((team1 || []).length !== size || (team2 || []).length !== size || ids.some((id) => !id)) {
+    throw Object.assign(new Error(`A ${format} match needs ${size} player(s) on each team.`), { status: 400 });
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw Object.assign(new Error('A player cannot appear twice in the same match.'), { status: 400 });
+  }
+  const known = await allAsync(`SELECT id FROM players WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+  if (known.length !== ids.length) throw Object.assign(new Error('Unknown player in match'), { status: 400 });
+  const games = parseScore(score || '');
+  if (!games) throw Object.assign(new Error('Score must look like "11-7, 9-11, 11-5".'), { status: 400 });
+  const won1 = games.filter(([a, b]) => a > b).length;
+  if (won1 * 2 === games.length) throw Object.assign(new Error('The score does not produce a winner.'), { status: 400 });
+  const result = await runAsync(
+    'INSERT INTO matches (played_at, format, score, winner_team, court_id, event_match_id, open_play_game_id, notes) VALUES (?,?,?,?,?,?,?,?)',
+    [played_at || formatDateTime(new Date()), format, games.map((g) => g.join('-')).join(', '), won1 * 2 > games.length ? 1 : 2, court_id || null, event_match_id || null, open_play_game_id || null, notes || null]
+  );
+  for (const [i, id] of ids.entries()) {
+    await runAsync('INSERT INTO match_players (match_id, player_id, team) VALUES (?,?,?)', [result.lastID, id, i < size ? 1 : 2]);
+  }
+  return result.lastID;
+}
+
+// Returns when the earliest removed result was played, or null when nothing matched
+async function deleteMatches(where, params) {
+  const matches = await allAsync(`SELECT id, played_at FROM matches ${where} ORDER BY played_at`, params);
+  for (const { id } of matches) {
+    await runAsync('DELETE FROM match_players WHERE match_id = ?', [id]);
+    await runAsync('DELETE FROM matches WHERE id = ?', [id]);
+  }
+  return matches.length ? matches[0].played_at : null;
+}
+
+const earliest = (...dates) => dates.filter(Boolean).sort()[0] ?? null;
+
+// Rebuilds run one at a time so two score posts never interleave their history writes
+let ratingsQueue = Promise.resolve();
+
+function recomputeRatings(from = null) {
+  const run = ratingsQueue.then(() => replayRatings(from));
+  ratingsQueue = run.catch(() => {});
+  return run;
+}
+
+// Replay the results played at or after `from` (all of them when null). Back-dated or
+// deleted results change the ratings of everything after them; earlier history stands.
+async function replayRatings(from) {
+  const since = from ? 'WHERE played_at >= ?' : '';
+  const params = from ? [from] : [];
+  const matches = await allAsync(`SELECT id, played_at, winner_team FROM matches ${since} ORDER BY played_at, id`, params);
+  const lineups = await allAsync(`SELECT match_id, player_id, team FROM match_players WHERE match_id IN (SELECT id FROM matches ${since})`, params);
+  const ratings = new Map();
+  if (from) {
+    const before = await allAsync('SELECT player_id, rating_after FROM rating_history WHERE played_at < ? ORDER BY played_at, match_id', [from]);
+    for (const h of before) ratings.set(h.player_id, h.rating_after);
+  }
+  const ratingOf = (id) => ratings.get(id) ?? INITIAL_RATING;
+  const history = [];
+  for (const match of matches) {
+    const lineup = lineups.filter((l) => l.match_id === match.id);
+    const teamRating = (team) => {
+      const members = lineup.filter((l) => l.team === team);
+      return members.reduce((sum, l) => sum + ratingOf(l.player_id), 0) / members.length;
+    };
+    const expected1 = 1 / (1 + 10 ** ((teamRating(2) - teamRating(1)) / 400));
+    const delta = Math.round(RATING_K * ((match.winner_team === 1 ? 1 : 0) - expected1));
+    for (const l of lineup) {
+      const before = ratingOf(l.player_id);
+      const after = before + (l.team === 1 ? delta : -delta);
+      ratings.set(l.player_id, after);
+      history.push([l.player_id, match.id, match.played_at, before, after]);
+    }
+  }
+  await runAsync('BEGIN');
+  try {
+    await runAsync(`DELETE FROM rating_history ${since}`, params);
+    for (const h of history) {
+      await runAsync('INSERT INTO rating_history (player_id, match_id, played_at, rating_before, rating_after) VALUES (?,?,?,?,?)', h);
+    }
+    await runAsync(
+      `UPDATE players SET rating = COALESCE((SELECT rating_after FROM rating_history h WHERE h.player_id = players.id
+                                             ORDER BY h.played_at DESC, h.match_id DESC LIMIT 1), ?)`,
+      [INITIAL_RATING]
+    );
+    await runAsync('COMMIT');
+  } catch (err) {
+    await runAsync('ROLLBACK');
+    throw err;
+  }
+}
+
+// Keep the rated result of a bracket match in step with its score
+async function recordEventMatchResult(event_match_id) {
+  const match = await getAsync(
+    `SELECT m.id, m.score, m.court_id, m.scheduled_time, m.status, r1.player_id AS player1_id, r1.partner_id AS partner1_id,
+            r2.player_id AS player2_id, r2.partner_id AS partner2_id
+     FROM event_matches m
+     JOIN event_registrations r1 ON r1.id = m.entry1_id
+     JOIN event_registrations r2 ON r2.id = m.entry2_id
+     WHERE m.id = ?`,
+    [event_match_id]
+  );
+  const removed = await deleteMatches('WHERE event_match_id = ?', [event_match_id]);
+  let played_at = null;
+  if (match && match.status === 'completed') {
+    const doubles = match.partner1_id && match.partner2_id;
+    played_at = match.scheduled_time || formatDateTime(new Date());
+    await saveMatch({
+      played_at,
+      format: doubles ? 'doubles' : 'singles',
+      team1: doubles ? [match.player1_id, match.partner1_id] : [match.player1_id],
+      team2: doubles ? [match.player2_id, match.partner2_id] : [match.player2_id],
+      score: match.score,
+      court_id: match.court_id,
+      event_match_id
+    });
+  }
+  if (removed || played_at) await recomputeRatings(earliest(removed, played_at));
+}
+
+// Results of a bracket go away with the bracket
+async function removeEventMatchResults(event_id) {
+  const removed = await deleteMatches('WHERE event_match_id IN (SELECT id FROM event_matches WHERE event_id = ?)', [event_id]);
+  if (removed) await recomputeRatings(removed);
+}
+
+app.get('/api/matches', async (req, res) => {
+  const { player_id } = req.query;
+  try {
+    const rows = player_id
+      ? await loadMatches('WHERE m.id IN (SELECT match_id FROM match_players WHERE player_id = ?)', [player_id])
+      : await loadMatches();
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Enter a result directly: { format, team1: [player ids], team2: [player ids], score, played_at, court_id, notes }
+app.post('/api/matches', async (req, res) => {
+  try {
+    const played_at = req.body.played_at || formatDateTime(new Date());
+    const id = await saveMatch({ ...req.body, played_at, event_match_id: null, open_play_game_id: null });
+    await recomputeRatings(played_at);
+    const [row] = await loadMatches('WHERE m.id = ?', [id]);
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/matches/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const match = await getAsync('SELECT id, event_match_id, open_play_game_id FROM matches WHERE id = ?', [id]);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (match.event_match_id) {
+      return res.status(409).json({ error: 'This result comes from a tournament bracket; change it there.' });
+    }
+    if (match.open_play_game_id) {
+      return res.status(409).json({ error: 'This result comes from an open-play session; change it there.' });
+    }
+    await recomputeRatings(await deleteMatches('WHERE id = ?', [id]));
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rating after each rated match of a player, newest first
+app.get('/api/players/:id/rating-history', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const player = await getAsync(`SELECT ${PLAYER_COLUMNS} FROM players WHERE id = ?`, [id]);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+    const matches = await loadMatches('WHERE m.id IN (SELECT match_id FROM match_players WHERE player_id = ?)', [id]);
+    const history = matches.map((m) => {
+      const team = m.team1.some((p) => p.player_id === id) ? 1 : 2;
+      const me = (team === 1 ? m.team1 : m.team2).find((p) => p.player_id === id);
+      return {
+        match_id: m.id,
+        played_at: m.played_at,
+        format: m.format,
+        score: m.score,
+        won: m.winner_team === team,
+        partners: (team === 1 ? m.team1 : m.team2).filter((p) => p.player_id !== id).map((p) => p.player_name),
+        opponents: (team === 1 ? m.team2 : m.team1).map((p) => p.player_name),
+        rating_before: me.rating_before,
+        rating_after: me.rating_after,
+        change: me.rating_after - me.rating_before
+      };
+    });
+    res.json({ player, history });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Open play
+
+// Present players are registrations with status 'attended'. Each round puts four players on
+// every court (two teams of two) and sits out the rest.
+const OPEN_PLAY_PLAYERS_PER_COURT = 4;
+// Random line-ups tried per round; the one repeating the fewest partners/opponents wins
+const OPEN_PLAY_ATTEMPTS = 300;
+// Playing with the same partner again weighs more than facing the same opponent again
+const PARTNER_REPEAT_COST = 3;
+const OPPONENT_REPEAT_COST = 1;
+
+async function requireOpenPlay(event_id) {
+  const event = await getAsync('SELECT id, name, court_id, start_time, end_time, status, event_type, max_participants FROM events WHERE id = ?', [event_id]);
+  if (!event) throw Object.assign(new Error('Event not found'), { status: 404 });
+  if (event.event_type !== 'open_play') throw Object.assign(new Error('This event is not an open-play session.'), { status: 400 });
+  return event;
+}
+
+// Everything the rotation view shows: present players with their tallies and every round so far
+async function loadOpenPlay(event) {
+  const present = await allAsync(
+    `SELECT er.id AS registration_id, er.player_id, p.name AS player_name, p.rating
+     FROM event_registrations er
+     JOIN players p ON p.id = er.player_id
+     WHERE er.event_id = ? AND er.status = 'attended'
+     ORDER BY p.name`,
+    [event.id]
+  );
+  const games = await allAsync(
+    `SELECT g.id, g.round, g.court_id, c.name AS court_name, g.score, g.winner_team, g.status
+     FROM open_play_games g
+     LEFT JOIN courts c ON c.id = g.court_id
+     WHERE g.event_id = ?
+     ORDER BY g.round, g.court_id`,
+    [event.id]
+  );
+  const slots = await allAsync(
+    `SELECT s.round, s.player_id, p.name AS player_name, s.game_id, s.team
+     FROM open_play_slots s
+     JOIN players p ON p.id = s.player_id
+     WHERE s.event_id = ?
+     ORDER BY s.round, s.team, p.name`,
+    [event.id]
+  );
+  const rounds = [...new Set(slots.map((s) => s.round))].map((round) => ({
+    round,
+    games: games.filter((g) => g.round === round).map((g) => ({
+      ...g,
+      team1: slots.filter((s) => s.game_id === g.id && s.team === 1).map(({ player_id, player_name }) => ({ player_id, player_name })),
+      team2: slots.filter((s) => s.game_id === g.id && s.team === 2).map(({ player_id, player_name }) => ({ player_id, player_name }))
+    })),
+    sitting_out: slots.filter((s) => s.round === round && !s.game_id).map(({ player_id, player_name }) => ({ player_id, player_name }))
+  }));
+  const players = present.map((p) => {
+    const mine = slots.filter((s) => s.player_id === p.player_id);
+    return {
+      ...p,
+      games_played: mine.filter((s) => s.game_id).length,
+      sat_out: mine.filter((s) => !s.game_id).length,
+      last_sat_out: Math.max(0, ...mine.filter((s) => !s.game_id).map((s) => s.round))
+    };
+  });
+  return { event_id: event.id, name: event.name, players, rounds };
+}
+
+// How often each pair of players has partnered or faced each other so far
+function openPlayHistory(rounds) {
+  const partners = new Map();
+  const opponents = new Map();
+  const key = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+  const bump = (map, a, b) => map.set(key(a, b), (map.get(key(a, b)) || 0) + 1);
+  for (const { games } of rounds) {
+    for (const g of games) {
+      const [t1, t2] = [g.team1.map((p) => p.player_id), g.team2.map((p) => p.player_id)];
+      for (const team of [t1, t2]) {
+        for (let i = 0; i < team.length; i++) for (let j = i + 1; j < team.length; j++) bump(partners, team[i], team[j]);
+      }
+      for (const a of t1) for (const b of t2) bump(opponents, a, b);
+    }
+  }
+  return { partners: (a, b) => partners.get(key(a, b)) || 0, opponents: (a, b) => opponents.get(key(a, b)) || 0 };
+}
+
+function shuffle(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Line-up for the next round. Players who have played the most (then sat out the least, and
+// the longest ago) sit out; the rest are grouped in fours, keeping the split of each four with
+// the fewest repeats, and the cheapest of many random groupings is used.
+function planOpenPlayRound(players, courtCount, history) {
+  const gameCount = Math.min(courtCount, Math.floor(players.length / OPEN_PLAY_PLAYERS_PER_COURT));
+  const sitCount = players.length - gameCount * OPEN_PLAY_PLAYERS_PER_COURT;
+  const bySitPriority = shuffle(players).sort((a, b) => b.games_played - a.games_played || a.sat_out - b.sat_out || a.last_sat_out - b.last_sat_out);
+  const sitting = bySitPriority.slice(0, sitCount);
+  const playing = bySitPriority.slice(sitCount).map((p) => p.player_id);
+  const splits = [[[0, 1], [2, 3]], [[0, 2], [1, 3]], [[0, 3], [1, 2]]];
+  const costOf = (team1, team2) => PARTNER_REPEAT_COST * (history.partners(...team1) + history.partners(...team2))
+    + OPPONENT_REPEAT_COST * team1.reduce((sum, a) => sum + team2.reduce((s, b) => s + history.opponents(a, b), 0), 0);
+  let best = null;
+  for (let attempt = 0; attempt < OPEN_PLAY_ATTEMPTS && gameCount > 0; attempt++) {
+    const order = shuffle(playing);
+    const games = [];
+    let cost = 0;
+    for (let g = 0; g < gameCount; g++) {
+      const four = order.slice(g * 4, g * 4 + 4);
+      const options = splits.map(([x, y]) => {
+        const team1 = x.map((i) => four[i]);
+        const team2 = y.map((i) => four[i]);
+        return { team1, team2, cost: costOf(team1, team2) };
+      });
+      const pick = options.reduce((a, b) => (b.cost < a.cost ? b : a));
+      games.push(pick);
+      cost += pick.cost;
+    }
+    if (!best || cost < best.cost) best = { games, cost };
+    if (cost === 0) break;
+  }
+  return { games: best ? best.games : [], sitting_out: sitting.map((p) => p.player_id) };
+}
+
+// Drop-in check-in: marks the player present, registering them on the spot if needed
+app.post('/api/events/:id/check-in', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const player_id = parseInt(req.body.player_id, 10);
+  try {
+    const event = await requireOpenPlay(id);
+    const existing = await getAsync(
+      "SELECT id, status, division_id FROM event_registrations WHERE event_id = ? AND player_id = ? AND status != 'cancelled'",
+      [id, player_id]
+    );
+    if (existing) {
+      // a waitlisted player only takes a place that is free
+      if (existing.status === 'waitlisted') {
+        const places = await loadEventPlaces(id);
+        if (!places.hasRoom(existing.division_id)) return res.status(409).json({ error: 'The session is full.' });
+      }
+      await runAsync("UPDATE event_registrations SET status = 'attended' WHERE id = ?", [existing.id]);
+      if (existing.status === 'waitlisted') await syncEventCapacity(id);
+    } else {
+      const places = await loadEventPlaces(id);
+      if (!places.hasRoom(null)) return res.status(409).json({ error: 'The session is full.' });
+      await runAsync('INSERT INTO event_registrations (event_id, player_id, payment_status, status) VALUES (?,?,?,?)', [id, player_id, 'unpaid', 'attended']);
+      await syncEventCapacity(id);
+    }
+    res.json(await loadOpenPlay(event));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// A player leaving the session is no longer put on court; their results stay
+app.delete('/api/events/:id/check-in/:playerId', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const player_id = parseInt(req.params.playerId, 10);
+  try {
+    const event = await requireOpenPlay(id);
+    await runAsync("UPDATE event_registrations SET status = 'registered' WHERE event_id = ? AND player_id = ? AND status = 'attended'", [id, player_id]);
+    res.json(await loadOpenPlay(event));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/events/:id/open-play', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    res.json(await loadOpenPlay(await requireOpenPlay(id)));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Generate the next round on the event's court, or on court_ids / every active court
+app.post('/api/events/:id/open-play/rounds', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const event = await requireOpenPlay(id);
+    let courts;
+    if (Array.isArray(req.body.court_ids) && req.body.court_ids.length > 0) courts = req.body.court_ids.map((c) => parseInt(c, 10));
+    else if (event.court_id) courts = [event.court_id];
+    else courts = (await allAsync('SELECT id FROM courts WHERE is_active = 1 ORDER BY id')).map((c) => c.id);
+    const session = await loadOpenPlay(event);
+    if (session.players.length < OPEN_PLAY_PLAYERS_PER_COURT) {
+      return res.status(422).json({ error: `At least ${OPEN_PLAY_PLAYERS_PER_COURT} players must be checked in.` });
+    }
+    const plan = planOpenPlayRound(session.players, courts.length, openPlayHistory(session.rounds));
+    const round = session.rounds.length > 0 ? session.rounds[session.rounds.length - 1].round + 1 : 1;
+    for (const [i, game] of plan.games.entries()) {
+      const result = await runAsync('INSERT INTO open_play_games (event_id, round, court_id) VALUES (?,?,?)', [id, round, courts[i]]);
+      for (const [team, ids] of [[1, game.team1], [2, game.team2]]) {
+        for (const player_id of ids) {
+          await runAsync('INSERT INTO open_play_slots (event_id, round, player_id, game_id, team) VALUES (?,?,?,?,?)', [id, round, player_id, result.lastID, team]);
+        }
+      }
+    }
+    for (const player_id of plan.sitting_out) {
+      await runAsync('INSERT INTO open_play_slots (event_id, round, player_id) VALUES (?,?,?)', [id, round, player_id]);
+    }
+    res.status(201).json(await loadOpenPlay(event));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Undo the latest round, e.g. to regenerate it after a late check-in. Not once scores are in.
+app.delete('/api/events/:id/open-play/rounds/last', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const event = await requireOpenPlay(id);
+    const last = await getAsync('SELECT MAX(round) AS round FROM open_play_slots WHERE event_id = ?', [id]);
+    if (!last.round) return res.status(404).json({ error: 'No rounds yet' });
+    const scored = await getAsync("SELECT COUNT(*) AS n FROM open_play_games WHERE event_id = ? AND round = ? AND status = 'completed'", [id, last.round]);
+    if (scored.n > 0) return res.status(409).json({ error: 'Scores have been recorded for this round.' });
+    await runAsync('DELETE FROM open_play_slots WHERE event_id = ? AND round = ?', [id, last.round]);
+    await runAsync('DELETE FROM open_play_games WHERE event_id = ? AND round = ?', [id, last.round]);
+    res.json(await loadOpenPlay(event));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Record the score of a game (from team 1's point of view); it counts towards the ratings
+app.patch('/api/open-play-games/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const game = await getAsync('SELECT id, event_id, round, court_id FROM open_play_games WHERE id = ?', [id]);
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    const games = parseScore(req.body.score || '');
+    if (!games) return res.status(400).json({ error: 'Score must look like "11-7, 9-11, 11-5".' });
+    const won1 = games.filter(([a, b]) => a > b).length;
+    if (won1 * 2 === games.length) return res.status(400).json({ error: 'The score does not produce a winner.' });
+    const score = games.map((g) => g.join('-')).join(', ');
+    await runAsync(
+      "UPDATE open_play_games SET score = ?, winner_team = ?, status = 'completed' WHERE id = ?",
+      [score, won1 * 2 > games.length ? 1 : 2, id]
+    );
+    const slots = await allAsync('SELECT player_id, team FROM open_play_slots WHERE game_id = ?', [id]);
+    const event = await requireOpenPlay(game.event_id);
+    const removed = await deleteMatches('WHERE open_play_game_id = ?', [id]);
+    const played_at = formatDateTime(new Date());
+    await saveMatch({
+      played_at,
+      format: 'doubles',
+      team1: slots.filter((s) => s.team === 1).map((s) => s.player_id),
+      team2: slots.filter((s) => s.team === 2).map((s) => s.player_id),
+      score,
+      court_id: game.court_id,
+      notes: `${event.name} - vòng ${game.round}`,
+      open_play_game_id: id
+    });
+    await recomputeRatings(earliest(removed, played_at));
+    res.json(await loadOpenPlay(event));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Membership plans
+const PLAN_COLUMNS = 'id, name, period_months, price_cents, description, max_freeze_days, max_members';
+
+app.get('/api/membership-plans', async (req, res) => {
+  try {
+    const rows = await allAsync(`SELECT ${PLAN_COLUMNS} FROM membership_plans`);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/membership-plans', async (req, res) => {
+  const { name, period_months, price_cents, description, max_freeze_days, max_members } = req.body;
+  try {
+    const result = await runAsync(
+      'INSERT INTO membership_plans (name, period_months, price_cents, description, max_freeze_days, max_members) VALUES (?,?,?,?,?,?)',
+      [name, period_months, price_cents, description, max_freeze_days || 0, max_members || 1]
+    );
+    const row = await getAsync(`SELECT ${PLAN_COLUMNS} FROM membership_plans WHERE id = ?`, [result.lastID]);
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/membership-plans/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const fields = req.body;
+  const setClauses = [];
+  const values = [];
+  Object.keys(fields).forEach((key) => {
+    setClauses.push(`${key} = ?`);
+    values.push(fields[key]);
+  });
+  values.push(id);
+  try {
+    await runAsync(`UPDATE membership_plans SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    const row = await getAsync(`SELECT ${PLAN_COLUMNS} FROM membership_plans WHERE id = ?`, [id]);
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/membership-plans/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await runAsync('DELETE FROM membership_plans WHERE id = ?', [id]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Memberships
+
+// price_cents is what the current term costs; carried_cents the value already used up from
+// earlier plans before a plan change. Together they are what the membership owes.
+// player_id is the primary payer; on household plans (max_members > 1) dependents share it.
+const MEMBERSHIP_SELECT = `SELECT m.id, m.player_id, p.name AS player_name, m.plan_id, mp.name AS plan_name,
+              m.start_date, m.end_date, m.status, m.payment_status,
+              COALESCE(m.price_cents, mp.price_cents) AS price_cents, m.carried_cents,
+              m.frozen_at, m.freeze_days_used, mp.max_freeze_days, mp.max_members,
+              (SELECT COUNT(*) FROM membership_members mm WHERE mm.membership_id = m.id) AS dependent_count,
+              (SELECT GROUP_CONCAT(dp.name, ', ') FROM membership_members mm JOIN players dp ON dp.id = mm.player_id
+               WHERE mm.membership_id = m.id) AS dependent_names
+       FROM memberships m
+       JOIN players p ON p.id = m.player_id
+       JOIN membership_plans mp ON mp.id = m.plan_id`;
+
+// Memberships (alias m or bare) that cover a player, as primary or dependent; takes the
+// player id twice
+const MEMBERSHIP_COVERS = '(player_id = ? OR id IN (SELECT membership_id FROM membership_members WHERE player_id = ?))';
+
+function today() {
+  return formatDateTime(new Date()).slice(0, 10);
+}
+
+function addDays(date, days) {
+  const d = parseDateTime(date);
+  d.setDate(d.getDate() + days);
+  return formatDateTime(d).slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDateTime(to) - parseDateTime(from)) / 86400000);
+}
+
+// Last day of a membership running period_months from start_date: 2025-01-01 + 1 month
+// ends 2025-01-31. Starting on the 31st of a month clamps to the last day of the target month.
+function membershipEndDate(start_date, period_months) {
+  const start = parseDateTime(start_date);
+  const end = new Date(start.getFullYear(), start.getMonth() + period_months, start.getDate());
+  if (end.getDate() !== start.getDate()) end.setDate(0);
+  return addDays(formatDateTime(end), -1);
+}
+
+// A new membership picks up the day after the player's current one ends (renewals never
+// lose days already paid for); without a current one it starts today.
+async function nextMembershipStart(player_id) {
+  const row = await getAsync(
+    `SELECT MAX(end_date) AS end_date FROM memberships
+     WHERE player_id = ? AND status IN ('active','pending','frozen') AND end_date >= ?`,
+    [player_id, today()]
+  );
+  return row.end_date ? addDays(row.end_date, 1) : today();
+}
+
+// Create a membership from its plan together with the charge for it. The charge stays
+// pending until collected unless a payment method is given.
+// A promo code comes off the price of the term, so plan changes later credit what was charged
+async function createMembership({ player_id, plan_id, start_date, method, renewed_from = null, promo_code = null }) {
+  assertDeskMethod(method);
+  const player = await getAsync('SELECT id FROM players WHERE id = ?', [player_id]);
+  if (!player) throw Object.assign(new Error('Player not found'), { status: 404 });
+  const plan = await getAsync('SELECT id, period_months, price_cents, max_members FROM membership_plans WHERE id = ?', [plan_id]);
+  if (!plan) throw Object.assign(new Error('Membership plan not found'), { status: 404 });
+  const start = start_date || await nextMembershipStart(player_id);
+  const end = membershipEndDate(start, plan.period_months);
+  const overlap = await getAsync(
+    `SELECT id, start_date, end_date FROM memberships
+     WHERE player_id = ? AND status IN ('active','pending','frozen') AND NOT (end_date < ? OR start_date > ?)`,
+    [player_id, start, end]
+  );
+  if (overlap) {
+    throw Object.assign(new Error(`Overlaps membership #${overlap.id} (${overlap.start_date} to ${overlap.end_date}); renew it instead.`), { status: 409 });
+  }
+  const promo = promo_code ? await checkPromoCode(promo_code, { source_type: 'membership', player_id, amount_cents: plan.price_cents }) : null;
+  const price_cents = plan.price_cents - (promo ? promo.discount_cents : 0);
+  const result = await runAsync(
+    'INSERT INTO memberships (player_id, plan_id, start_date, end_date, status, price_cents) VALUES (?,?,?,?,?,?)',
+    [player_id, plan.id, start, end, start > today() ? 'pending' : end < today() ? 'expired' : 'active', price_cents]
+  );
+  if (promo) await redeemPromoCode(promo, { player_id, source_type: 'membership', source_id: result.lastID });
+  await recordMembershipHistory(result.lastID, renewed_from ? 'renewed' : 'created', {
+    plan_id: plan.id,
+    end_date: end,
+    amount_cents: price_cents,
+    note: [renewed_from ? `Gia hạn từ thẻ #${renewed_from}` : null, promo ? `Mã ${promo.code}` : null].filter(Boolean).join(' · ') || null
+  });
+  // A household renewal carries its dependents over, as many as the new plan covers
+  if (renewed_from && plan.max_members > 1) {
+    await runAsync(
+      `INSERT INTO membership_members (membership_id, player_id)
+       SELECT ?, player_id FROM membership_members WHERE membership_id = ? ORDER BY id LIMIT ?`,
+      [result.lastID, renewed_from, plan.max_members - 1]
+    );
+  }
+  const payment = await runAsync(
+    'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status) VALUES (?,?,?,?,?,?,?)',
+    [player_id, price_cents, 'VND', 'membership', result.lastID, method || null, method ? 'succeeded' : 'pending']
+  );
+  await recordInShift(payment.lastID);
+  await attachRedemption(payment.lastID);
+  await syncMembershipPaymentStatus(result.lastID);
+  await syncMembershipPlayers(result.lastID);
+  await invoicePlayers([player_id]);
+  return result.lastID;
+}
+
+// players.status/expiry mirror the memberships: active while one covers today (expiry is
+// then the end of the paid-up run, renewals included), expired once they have all ended.
+// A frozen membership still counts as current; bookings check for an active one. Household
+// dependents follow the memberships they are on.
+async function syncPlayerMembership(player_id) {
+  const row = await getAsync(
+    `SELECT MAX(CASE WHEN status IN ('active','frozen') AND ? BETWEEN start_date AND end_date THEN 1 ELSE 0 END) AS current,
+            MAX(CASE WHEN status IN ('active','pending','frozen') THEN end_date END) AS paid_through,
+            MAX(CASE WHEN status != 'cancelled' THEN end_date END) AS last_end
+     FROM memberships WHERE ${MEMBERSHIP_COVERS}`,
+    [today(), player_id, player_id]
+  );
+  const status = row.current ? 'active' : row.last_end ? 'expired' : 'none';
+  const expiry = row.current ? row.paid_through : row.last_end;
+  await runAsync('UPDATE players SET status = ?, expiry = ? WHERE id = ?', [status, expiry || null, player_id]);
+}
+
+// Sync the primary and every dependent of a membership
+async function syncMembershipPlayers(membership_id) {
+  const players = await allAsync(
+    `SELECT player_id FROM memberships WHERE id = ?
+     UNION SELECT player_id FROM membership_members WHERE membership_id = ?`,
+    [membership_id, membership_id]
+  );
+  for (const p of players) await syncPlayerMembership(p.player_id);
+}
+
+// Every change to a membership is kept as a line of history
+async function recordMembershipHistory(membership_id, action, { plan_id = null, end_date = null, amount_cents = null, days = null, note = null } = {}) {
+  await runAsync(
+    'INSERT INTO membership_history (membership_id, action, plan_id, end_date, amount_cents, days, note) VALUES (?,?,?,?,?,?,?)',
+    [membership_id, action, plan_id, end_date, amount_cents, days, note]
+  );
+}
+
+// Renewals queued after a membership move along when its end date moves
+async function shiftFollowingMemberships(membership, days) {
+  if (!days) return;
+  const following = await allAsync(
+    "SELECT id, start_date, end_date FROM memberships WHERE player_id = ? AND status = 'pending' AND start_date > ? AND id != ?",
+    [membership.player_id, membership.start_date, membership.id]
+  );
+  for (const f of following) {
+    await runAsync('UPDATE memberships SET start_date = ?, end_date = ? WHERE id = ?', [addDays(f.start_date, days), addDays(f.end_date, days), f.id]);
+  }
+}
+
+// End a freeze on `day`: the frozen days (up to what the plan still allows) are added to
+// the end date
+async function unfreezeMembership(membership, day, note = null) {
+  const allowance = membership.max_freeze_days - membership.freeze_days_used;
+  const days = Math.max(0, Math.min(daysBetween(membership.frozen_at, day), allowance));
+  const end_date = addDays(membership.end_date, days);
+  await runAsync(
+    'UPDATE memberships SET status = ?, end_date = ?, frozen_at = NULL, freeze_days_used = freeze_days_used + ? WHERE id = ?',
+    [end_date < day ? 'expired' : 'active', end_date, days, membership.id]
+  );
+  await shiftFollowingMemberships(membership, days);
+  await recordMembershipHistory(membership.id, 'unfrozen', { end_date, days, note });
+}
+
+// Prorate a move to another plan: the unused part of the current term is credited against
+// the new plan's price, and the new term runs from today (or the original start if it has
+// not begun). A positive amount is charged, a negative one is owed back to the member.
+async function quotePlanChange(membership, plan_id) {
+  const plan = await getAsync('SELECT id, name, period_months, price_cents, max_members FROM membership_plans WHERE id = ?', [plan_id]);
+  if (!plan) throw Object.assign(new Error('Membership plan not found'), { status: 404 });
+  if (plan.id === membership.plan_id) throw Object.assign(new Error('The membership is already on this plan.'), { status: 400 });
+  if (membership.dependent_count + 1 > plan.max_members) {
+    throw Object.assign(new Error(`The ${plan.name} plan covers ${plan.max_members} member(s); remove dependents first.`), { status: 409 });
+  }
+  const day = today();
+  const started = membership.start_date <= day;
+  const total_days = daysBetween(membership.start_date, membership.end_date) + 1;
+  const remaining_days = started ? Math.max(0, daysBetween(day, membership.end_date) + 1) : total_days;
+  const credit_cents = Math.round(membership.price_cents * remaining_days / total_days);
+  const start_date = started ? day : membership.start_date;
+  return {
+    plan_id: plan.id,
+    plan_name: plan.name,
+    start_date,
+    end_date: membershipEndDate(start_date, plan.period_months),
+    remaining_days,
+    total_days,
+    credit_cents,
+    price_cents: plan.price_cents,
+    amount_cents: plan.price_cents - credit_cents
+  };
+}
+
+// Bring a membership's payments in line with what it owes (current term plus carried value).
+// When too much is asked for, charges still pending are cut down first (newest first, and
+// not ones already sent to an online checkout), each change noted in the history; returns
+// the amount charged (positive) or refunded (negative).
+async function settleMembershipBalance(membership_id, method) {
+  assertDeskMethod(method);
+  const membership = await loadMembership(membership_id);
+  const due_cents = membership.price_cents + membership.carried_cents;
+  const totals = () => getAsync(
+    `SELECT COALESCE(SUM(CASE WHEN status IN ('succeeded','partial') THEN amount_cents ELSE 0 END), 0) AS paid_cents,
+            COALESCE(SUM(CASE WHEN status = 'pending' THEN amount_cents ELSE 0 END), 0) AS pending_cents
+     FROM payments WHERE source_type = 'membership' AND source_id = ?`,
+    [membership_id]
+  );
+  let { paid_cents, pending_cents } = await totals();
+  let excess = paid_cents + pending_cents - due_cents;
+  if (excess > 0 && pending_cents > 0) {
+    const pending = await allAsync(
+      "SELECT id, amount_cents FROM payments WHERE source_type = 'membership' AND source_id = ? AND kind = 'charge' AND status = 'pending' AND checkout_ref IS NULL ORDER BY id DESC",
+      [membership_id]
+    );
+    for (const p of pending) {
+      if (excess <= 0) break;
+      const cut = Math.min(excess, p.amount_cents);
+      if (cut === p.amount_cents) {
+        await runAsync('DELETE FROM payments WHERE id = ?', [p.id]);
+        await runAsync('UPDATE promo_redemptions SET payment_id = NULL WHERE payment_id = ?', [p.id]);
+        await recordMembershipHistory(membership_id, 'updated', { amount_cents: -cut, note: `Bỏ khoản chờ thu #${p.id} vì số phải trả giảm` });
+      } else {
+        await runAsync('UPDATE payments SET amount_cents = ? WHERE id = ?', [p.amount_cents - cut, p.id]);
+        await recordMembershipHistory(membership_id, 'updated', { amount_cents: -cut, note: `Giảm khoản chờ thu #${p.id} còn ${p.amount_cents - cut} vì số phải trả giảm` });
+      }
+      excess -= cut;
+    }
+    ({ paid_cents, pending_cents } = await totals());
+  }
+  const balance = due_cents - paid_cents - pending_cents;
+  if (balance > 0) {
+    const payment = await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status) VALUES (?,?,?,?,?,?,?)',
+      [membership.player_id, balance, 'VND', 'membership', membership_id, method || null, method ? 'succeeded' : 'pending']
+    );
+    await recordInShift(payment.lastID);
+  } else if (balance < 0) {
+    const charge = await getAsync(
+      "SELECT id FROM payments WHERE source_type = 'membership' AND source_id = ? AND kind = 'charge' AND status = 'succeeded' ORDER BY id DESC LIMIT 1",
+      [membership_id]
+    );
+    const refund = await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status, kind, related_payment_id) VALUES (?,?,?,?,?,?,?,?,?)',
+      [membership.player_id, balance, 'VND', 'membership', membership_id, method || null, method ? 'succeeded' : 'pending', 'refund', charge ? charge.id : null]
+    );
+    await recordInShift(refund.lastID);
+  }
+  return balance;
+}
+
+async function loadMembership(id) {
+  const membership = await getAsync(
+    `${MEMBERSHIP_SELECT}
+     WHERE m.id = ?`,
+    [id]
+  );
+  if (!membership) throw Object.assign(new Error('Membership not found'), { status: 404 });
+  return membership;
+}
+
+// Daily: end freezes that used up the plan's allowance, expire memberships that have ended,
+// start the ones due today and bring every player's status up to date
+async function runMembershipLifecycle() {
+  const day = today();
+  const frozen = await allAsync(
+    `${MEMBERSHIP_SELECT}
+     WHERE m.status = 'frozen'`
+  );
+  for (const m of frozen) {
+    if (daysBetween(m.frozen_at, day) >= m.max_freeze_days - m.freeze_days_used) {
+      await unfreezeMembership(m, day, 'Hết số ngày tạm dừng của gói');
+    }
+  }
+  const ended = await allAsync("SELECT id, end_date FROM memberships WHERE status IN ('active','pending') AND end_date < ?", [day]);
+  for (const m of ended) {
+    await runAsync("UPDATE memberships SET status = 'expired' WHERE id = ?", [m.id]);
+    await recordMembershipHistory(m.id, 'expired', { end_date: m.end_date });
+  }
+  await runAsync("UPDATE memberships SET status = 'active' WHERE status = 'pending' AND start_date <= ?", [day]);
+  const players = await allAsync('SELECT id FROM players');
+  for (const p of players) await syncPlayerMembership(p.id);
+}
+
+app.get('/api/memberships', async (req, res) => {
+  try {
+    const rows = await allAsync(
+      `${MEMBERSHIP_SELECT}
+       ORDER BY m.start_date`);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// end_date follows from the plan; start_date defaults to the end of the current membership
+app.post('/api/memberships', async (req, res) => {
+  const { player_id, plan_id, start_date, method, promo_code } = req.body;
+  try {
+    const id = await createMembership({ player_id, plan_id, start_date, method, promo_code });
+    const row = await getAsync(
+      `${MEMBERSHIP_SELECT}
+       WHERE m.id = ?`,
+      [id]
+    );
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Renew on the same plan (or plan_id), continuing from the player's current end date
+app.post('/api/memberships/:id/renew', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { plan_id, method, promo_code } = req.body;
+  try {
+    const current = await getAsync('SELECT id, player_id, plan_id, status FROM memberships WHERE id = ?', [id]);
+    if (!current) return res.status(404).json({ error: 'Membership not found' });
+    if (current.status === 'cancelled') return res.status(409).json({ error: 'Cannot renew a cancelled membership.' });
+    const renewedId = await createMembership({ player_id: current.player_id, plan_id: plan_id || current.plan_id, method, renewed_from: id, promo_code });
+    const row = await getAsync(
+      `${MEMBERSHIP_SELECT}
+       WHERE m.id = ?`,
+      [renewedId]
+    );
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/memberships/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const fields = req.body;
+  const setClauses = [];
+  const values = [];
+  for (const key of Object.keys(fields)) {
+    setClauses.push(`${key} = ?`);
+    values.push(fields[key]);
+  }
+  values.push(id);
+  try {
+    const previous = await getAsync('SELECT player_id FROM memberships WHERE id = ?', [id]);
+    if (!previous) return res.status(404).json({ error: 'Membership not found' });
+    if (setClauses.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+    await runAsync(`UPDATE memberships SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    if ('plan_id' in fields || 'status' in fields) await syncMembershipPaymentStatus(id);
+    await recordMembershipHistory(id, fields.status === 'cancelled' ? 'cancelled' : 'updated', {
+      plan_id: fields.plan_id || null,
+      end_date: fields.end_date || null,
+      note: Object.keys(fields).join(', ')
+    });
+    const row = await getAsync(
+      `${MEMBERSHIP_SELECT}
+       WHERE m.id = ?`,
+      [id]
+    );
+    await syncMembershipPlayers(id);
+    if (previous.player_id !== row.player_id) await syncPlayerMembership(previous.player_id);
+    await invoicePlayers([previous.player_id, row.player_id]);
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/memberships/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const membership = await getAsync('SELECT player_id FROM memberships WHERE id = ?', [id]);
+    const dependents = await allAsync('SELECT player_id FROM membership_members WHERE membership_id = ?', [id]);
+    await runAsync('DELETE FROM membership_history WHERE membership_id = ?', [id]);
+    await runAsync('DELETE FROM membership_members WHERE membership_id = ?', [id]);
+    await runAsync("DELETE FROM promo_redemptions WHERE source_type = 'membership' AND source_id = ?", [id]);
+    await runAsync('DELETE FROM memberships WHERE id = ?', [id]);
+    if (membership) await syncPlayerMembership(membership.player_id);
+    for (const d of dependents) await syncPlayerMembership(d.player_id);
+    if (membership) await invoicePlayers([membership.player_id]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/memberships/:id/history', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const rows = await allAsync(
+      `SELECT h.id, h.membership_id, h.action, h.plan_id, mp.name AS plan_name, h.end_date, h.amount_cents, h.days, h.note, h.created_at
+       FROM membership_history h
+       LEFT JOIN membership_plans mp ON mp.id = h.plan_id
+       WHERE h.membership_id = ?
+       ORDER BY h.id DESC`,
+      [id]
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pause a running membership; the days it stays frozen (up to the plan's allowance) are
+// added back on unfreeze
+app.post('/api/memberships/:id/freeze', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const membership = await loadMembership(id);
+    const day = today();
+    if (membership.status !== 'active' || membership.start_date > day) {
+      return res.status(409).json({ error: 'Only a running active membership can be frozen.' });
+    }
+    const allowance = membership.max_freeze_days - membership.freeze_days_used;
+    if (allowance <= 0) return res.status(409).json({ error: `The ${membership.plan_name} plan allows no more freeze days.` });
+    await runAsync("UPDATE memberships SET status = 'frozen', frozen_at = ? WHERE id = ?", [day, id]);
+    await recordMembershipHistory(id, 'frozen', { note: `Tối đa ${allowance} ngày` });
+    await syncMembershipPlayers(id);
+    res.json(await loadMembership(id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/memberships/:id/unfreeze', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const membership = await loadMembership(id);
+    if (membership.status !== 'frozen') return res.status(409).json({ error: 'The membership is not frozen.' });
+    await unfreezeMembership(membership, today());
+    await syncMembershipPlayers(id);
+    res.json(await loadMembership(id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// What moving to plan_id would cost or credit, without changing anything
+app.get('/api/memberships/:id/plan-change', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const membership = await loadMembership(id);
+    res.json(await quotePlanChange(membership, parseInt(req.query.plan_id, 10)));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Upgrade or downgrade to plan_id with proration. Whatever the membership now owes beyond
+// its payments is charged, anything paid beyond it is owed back as a refund; with a method
+// either is settled on the spot.
+app.post('/api/memberships/:id/plan-change', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { plan_id, method } = req.body;
+  try {
+    assertDeskMethod(method);
+    const membership = await loadMembership(id);
+    if (membership.status === 'frozen') return res.status(409).json({ error: 'Unfreeze the membership before changing its plan.' });
+    if (!['active', 'pending'].includes(membership.status)) {
+      return res.status(409).json({ error: `Cannot change the plan of a ${membership.status} membership.` });
+    }
+    const quote = await quotePlanChange(membership, parseInt(plan_id, 10));
+    await runAsync(
+      'UPDATE memberships SET plan_id = ?, start_date = ?, end_date = ?, price_cents = ?, carried_cents = carried_cents + ? WHERE id = ?',
+      [quote.plan_id, quote.start_date, quote.end_date, quote.price_cents, membership.price_cents - quote.credit_cents, id]
+    );
+    quote.settled_cents = await settleMembershipBalance(id, method);
+    await shiftFollowingMemberships(membership, daysBetween(membership.end_date, quote.end_date));
+    await recordMembershipHistory(id, 'plan_changed', {
+      plan_id: quote.plan_id,
+      end_date: quote.end_date,
+      amount_cents: quote.settled_cents,
+      days: quote.remaining_days,
+      note: `${membership.plan_name} → ${quote.plan_name}, trừ ${quote.credit_cents} cho ${quote.remaining_days} ngày chưa dùng`
+    });
+    await syncMembershipPaymentStatus(id);
+    await syncMembershipPlayers(id);
+    await invoicePlayers([membership.player_id]);
+    res.json({ ...(await loadMembership(id)), plan_change: quote });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Household dependents. Adding or removing one changes who the membership covers, not
+// what it costs: no payment is taken or returned. Renewals already queued after the
+// membership follow along.
+async function householdTerms(membership) {
+  const queued = await allAsync(
+    `SELECT m.id FROM memberships m JOIN membership_plans mp ON mp.id = m.plan_id
+     WHERE m.player_id = ? AND m.status = 'pending' AND m.start_date > ? AND mp.max_members > 1
+       AND (SELECT COUNT(*) FROM membership_members mm WHERE mm.membership_id = m.id) + 1 < mp.max_members`,
+    [membership.player_id, membership.start_date]
+  );
+  return [membership.id, ...queued.map((m) => m.id)];
+}
+
+app.get('/api/memberships/:id/members', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const rows = await allAsync(
+      `SELECT mm.id, mm.membership_id, mm.player_id, p.name AS player_name, p.email, mm.added_at
+       FROM membership_members mm
+       JOIN players p ON p.id = mm.player_id
+       WHERE mm.membership_id = ?
+       ORDER BY mm.id`,
+      [id]
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/memberships/:id/members', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const player_id = parseInt(req.body.player_id, 10);
+  try {
+    const membership = await loadMembership(id);
+    if (membership.max_members <= 1) return res.status(400).json({ error: `The ${membership.plan_name} plan is not a household plan.` });
+    if (!['active', 'pending', 'frozen'].includes(membership.status)) {
+      return res.status(409).json({ error: `Cannot add members to a ${membership.status} membership.` });
+    }
+    const player = await getAsync('SELECT id, name FROM players WHERE id = ?', [player_id]);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+    if (player.id === membership.player_id) return res.status(409).json({ error: 'The primary member is already covered.' });
+    if (membership.dependent_count + 1 >= membership.max_members) {
+      return res.status(409).json({ error: `The ${membership.plan_name} plan covers at most ${membership.max_members} members.` });
+    }
+    const other = await getAsync(
+      `SELECT m.id FROM membership_members mm
+       JOIN memberships m ON m.id = mm.membership_id
+       WHERE mm.player_id = ? AND m.status IN ('active','pending','frozen')
+         AND NOT (m.end_date < ? OR m.start_date > ?)`,
+      [player.id, membership.start_date, membership.end_date]
+    );
+    if (other) return res.status(409).json({ error: `${player.name} is already a member of household membership #${other.id}.` });
+    for (const termId of await householdTerms(membership)) {
+      const added = await runAsync('INSERT OR IGNORE INTO membership_members (membership_id, player_id) VALUES (?,?)', [termId, player.id]);
+      if (added.changes) await recordMembershipHistory(termId, 'member_added', { note: player.name });
+    }
+    await syncPlayerMembership(player.id);
+    res.status(201).json(await loadMembership(id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/memberships/:id/members/:playerId', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const player_id = parseInt(req.params.playerId, 10);
+  try {
+    const member = await getAsync(
+      `SELECT mm.id, p.name FROM membership_members mm JOIN players p ON p.id = mm.player_id
+       WHERE mm.membership_id = ? AND mm.player_id = ?`,
+      [id, player_id]
+    );
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    const queued = await allAsync(
+      `SELECT mm.membership_id FROM membership_members mm JOIN memberships m ON m.id = mm.membership_id
+       WHERE mm.player_id = ? AND m.status = 'pending' AND m.player_id = (SELECT player_id FROM memberships WHERE id = ?)
+         AND m.start_date > (SELECT start_date FROM memberships WHERE id = ?)`,
+      [player_id, id, id]
+    );
+    for (const termId of [id, ...queued.map((q) => q.membership_id)]) {
+      await runAsync('DELETE FROM membership_members WHERE membership_id = ? AND player_id = ?', [termId, player_id]);
+      await recordMembershipHistory(termId, 'member_removed', { note: member.name });
+    }
+    await syncPlayerMembership(player_id);
+    res.json(await loadMembership(id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Prepaid credits
+
+// Packages sell court hours or sessions that expire validity_days after purchase. A
+// booking paid from credits uses its length in hours, or one session, soonest-expiring first.
+// Credits are prepaid: a lot can only be spent once it is paid for (or given away).
+const CREDIT_UNITS = ['hours', 'sessions'];
+const SPENDABLE_CREDIT_STATUSES = ['paid', 'waived'];
+const CREDIT_PACKAGE_COLUMNS = 'id, name, unit, quantity, validity_days, price_cents, description';
+
+function creditsForReservation(unit, start_time, end_time) {
+  if (unit === 'sessions') return 1;
+  return Math.round((parseDateTime(end_time) - parseDateTime(start_time)) / 36000) / 100;
+}
+
+// Paid-up credit lots of a player that can still be spent, soonest-expiring first
+function usableCredits(player_id, unit) {
+  return allAsync(
+    `SELECT id, unit, remaining, expires_at FROM player_credits
+     WHERE player_id = ? AND unit = ? AND remaining > 0 AND expires_at >= ?
+       AND payment_status IN (${SPENDABLE_CREDIT_STATUSES.map(() => '?').join(',')})
+     ORDER BY expires_at, id`,
+    [player_id, unit, today(), ...SPENDABLE_CREDIT_STATUSES]
+  );
+}
+
+// Pick what a booking would cost in credits: hours when the player has enough of them,
+// otherwise one session. Throws 422 when neither covers it.
+async function planCreditUse(player_id, start_time, end_time) {
+  for (const unit of CREDIT_UNITS) {
+    const lots = await usableCredits(player_id, unit);
+    const amount = creditsForReservation(unit, start_time, end_time);
+    const balance = lots.reduce((sum, l) => sum + l.remaining, 0);
+    if (balance >= amount) return { unit, amount, lots };
+  }
+  throw Object.assign(new Error('Not enough prepaid credits for this booking.'), { status: 422 });
+}
+
+async function recordCreditTransaction({ player_id, player_credit_id, kind, amount, reservation_id = null, note = null }) {
+  await runAsync(
+    'INSERT INTO credit_transactions (player_id, player_credit_id, kind, amount, reservation_id, note) VALUES (?,?,?,?,?,?)',
+    [player_id, player_credit_id, kind, amount, reservation_id, note]
+  );
+}
+
+// Spend credits on a reservation according to planCreditUse
+async function useCredits(player_id, reservation_id, { amount, lots }) {
+  let left = amount;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const used = Math.min(lot.remaining, left);
+    left = Math.round((left - used) * 100) / 100;
+    await runAsync('UPDATE player_credits SET remaining = remaining - ? WHERE id = ?', [used, lot.id]);
+    await recordCreditTransaction({ player_id, player_credit_id: lot.id, kind: 'use', amount: -used, reservation_id });
+  }
+}
+
+// Credits a reservation still holds, per lot it drew from
+function reservationCredits(reservation_id) {
+  return allAsync(
+    `SELECT t.player_credit_id, t.player_id, pc.unit, -SUM(t.amount) AS amount
+     FROM credit_transactions t
+     JOIN player_credits pc ON pc.id = t.player_credit_id
+     WHERE t.reservation_id = ? AND t.kind IN ('use','return')
+     GROUP BY t.player_credit_id, t.player_id, pc.unit`,
+    [reservation_id]
+  );
+}
+
+// What changing the times of a credit-paid reservation does to the credits it holds: a
+// longer booking in hours draws the difference from the player's usable lots (422 when they
+// do not have it), a shorter one gives the difference back. Sessions do not depend on length.
+// planned counts what earlier adjustments in the same change already draw, per player and unit.
+async function planCreditAdjustment(reservation_id, start_time, end_time, planned = {}) {
+  const held = await reservationCredits(reservation_id);
+  if (held.length === 0) return null;
+  const { unit, player_id } = held[0];
+  const holding = held.reduce((sum, h) => sum + h.amount, 0);
+  const diff = Math.round((creditsForReservation(unit, start_time, end_time) - holding) * 100) / 100;
+  if (diff === 0) return null;
+  if (diff > 0) {
+    const key = `${player_id}:${unit}`;
+    const lots = await usableCredits(player_id, unit);
+    const balance = lots.reduce((sum, l) => sum + l.remaining, 0);
+    if (balance < (planned[key] || 0) + diff) {
+      throw Object.assign(new Error(`Not enough prepaid credits to lengthen the booking by ${diff} ${unit}.`), { status: 422 });
+    }
+    planned[key] = (planned[key] || 0) + diff;
+  }
+  return { reservation_id, player_id, unit, diff, held };
+}
+
+async function applyCreditAdjustment({ reservation_id, player_id, unit, diff, held }) {
+  if (diff > 0) {
+    await useCredits(player_id, reservation_id, { amount: diff, lots: await usableCredits(player_id, unit) });
+    return;
+  }
+  // give back to the lots drawn from last first
+  let left = -diff;
+  for (const h of [...held].reverse()) {
+    if (left <= 0) break;
+    const amount = Math.min(h.amount, left);
+    left = Math.round((left - amount) * 100) / 100;
+    await runAsync('UPDATE player_credits SET remaining = remaining + ? WHERE id = ?', [amount, h.player_credit_id]);
+    await recordCreditTransaction({ player_id: h.player_id, player_credit_id: h.player_credit_id, kind: 'return', amount, reservation_id, note: 'Rút ngắn giờ đặt' });
+  }
+}
+
+// Cancelling a credit-paid reservation gives back the credits the cancellation policy does
+// not keep as a fee: everything inside the free window, the rest less the fee percentage.
+async function returnReservationCredits(reservation_id, fee_percent) {
+  const held = await reservationCredits(reservation_id);
+  const returned = {};
+  for (const h of held) {
+    const amount = Math.round(h.amount * (100 - fee_percent)) / 100;
+    if (amount <= 0) continue;
+    await runAsync('UPDATE player_credits SET remaining = remaining + ? WHERE id = ?', [amount, h.player_credit_id]);
+    await recordCreditTransaction({ player_id: h.player_id, player_credit_id: h.player_credit_id, kind: 'return', amount, reservation_id, note: fee_percent ? `Giữ ${fee_percent}% phí huỷ` : null });
+    returned[h.unit] = (returned[h.unit] || 0) + amount;
+  }
+  return returned;
+}
+
+// A credit lot is paid once its payments cover the package price
+async function syncCreditPaymentStatus(player_credit_id) {
+  const account = await sourceAccount({ source_type: 'credit_package', source_id: player_credit_id });
+  if (account) await runAsync('UPDATE player_credits SET payment_status = ? WHERE id = ?', [account.status, player_credit_id]);
+}
+
+// Daily: whatever is left of expired lots is written off
+async function expirePlayerCredits() {
+  const lapsed = await allAsync('SELECT id, player_id, remaining FROM player_credits WHERE remaining > 0 AND expires_at < ?', [today()]);
+  for (const lot of lapsed) {
+    await runAsync('UPDATE player_credits SET remaining = 0 WHERE id = ?', [lot.id]);
+    await recordCreditTransaction({ player_id: lot.player_id, player_credit_id: lot.id, kind: 'expire', amount: -lot.remaining });
+  }
+}
+
+function validateCreditPackage({ name, unit, quantity, validity_days, price_cents }) {
+  if (!name || !CREDIT_UNITS.includes(unit) || !(Number(quantity) > 0) || !(Number(validity_days) > 0) || !(Number(price_cents) >= 0)) {
+    return 'A package needs a name, a unit (hours or sessions), a positive quantity and validity, and a price.';
+  }
+  return null;
+}
+
+app.get('/api/credit-packages', async (req, res) => {
+  try {
+    const rows = await allAsync(`SELECT ${CREDIT_PACKAGE_COLUMNS} FROM credit_packages ORDER BY unit, quantity`);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/credit-packages', async (req, res) => {
+  const { name, unit, quantity, validity_days, price_cents, description } = req.body;
+  try {
+    const invalid = validateCreditPackage(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const result = await runAsync(
+      'INSERT INTO credit_packages (name, unit, quantity, validity_days, price_cents, description) VALUES (?,?,?,?,?,?)',
+      [name, unit, quantity, validity_days, price_cents, description]
+    );
+    const row = await getAsync(`SELECT ${CREDIT_PACKAGE_COLUMNS} FROM credit_packages WHERE id = ?`, [result.lastID]);
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/credit-packages/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const fields = req.body;
+  const setClauses = [];
+  const values = [];
+  Object.keys(fields).forEach((key) => {
+    setClauses.push(`${key} = ?`);
+    values.push(fields[key]);
+  });
+  values.push(id);
+  try {
+    const current = await getAsync(`SELECT ${CREDIT_PACKAGE_COLUMNS} FROM credit_packages WHERE id = ?`, [id]);
+    if (!current) return res.status(404).json({ error: 'Credit package not found' });
+    const invalid = validateCreditPackage({ ...current, ...fields });
+    if (invalid) return res.status(400).json({ error: invalid });
+    await runAsync(`UPDATE credit_packages SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    const row = await getAsync(`SELECT ${CREDIT_PACKAGE_COLUMNS} FROM credit_packages WHERE id = ?`, [id]);
+    res.json(row);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/credit-packages/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await runAsync('DELETE FROM credit_packages WHERE id = ?', [id]);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Balance per unit, the lots behind it and the usage history of a player
+app.get('/api/players/:id/credits', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const lots = await allAsync(
+      `SELECT pc.id, pc.package_id, cp.name AS package_name, pc.unit, pc.quantity, pc.remaining, pc.price_cents,
+              pc.payment_status, pc.purchased_at, pc.expires_at
+       FROM player_credits pc
+       LEFT JOIN credit_packages cp ON cp.id = pc.package_id
+       WHERE pc.player_id = ?
+       ORDER BY pc.expires_at DESC`,
+      [id]
+    );
+    const balances = {};
+    for (const unit of CREDIT_UNITS) {
+      balances[unit] = lots
+        .filter(l => l.unit === unit && l.expires_at >= today() && SPENDABLE_CREDIT_STATUSES.includes(l.payment_status))
+        .reduce((sum, l) => sum + l.remaining, 0);
+    }
+    const history = await allAsync(
+      `SELECT t.id, t.player_credit_id, pc.unit, t.kind, t.amount, t.reservation_id, r.start_time, c.name AS court_name, t.note, t.created_at
+       FROM credit_transactions t
+       JOIN player_credits pc ON pc.id = t.player_credit_id
+       LEFT JOIN reservations r ON r.id = t.reservation_id
+       LEFT JOIN courts c ON c.id = r.court_id
+       WHERE t.player_id = ?
+       ORDER BY t.id DESC`,
+      [id]
+    );
+    res.json({ balances, lots, history });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sell a package to a player. The charge stays pending until collected unless a method is given.
+app.post('/api/players/:id/credits', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { package_id, method } = req.body;
+  try {
+    assertDeskMethod(method);
+    const player = await getAsync('SELECT id FROM players WHERE id = ?', [id]);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+    const pkg = await getAsync(`SELECT ${CREDIT_PACKAGE_COLUMNS} FROM credit_packages WHERE id = ?`, [package_id]);
+    if (!pkg) return res.status(404).json({ error: 'Credit package not found' });
+    const result = await runAsync(
+      'INSERT INTO player_credits (player_id, package_id, unit, quantity, remaining, price_cents, expires_at) VALUES (?,?,?,?,?,?,?)',
+      [id, pkg.id, pkg.unit, pkg.quantity, pkg.quantity, pkg.price_cents, addDays(today(), pkg.validity_days)]
+    );
+    await recordCreditTransaction({ player_id: id, player_credit_id: result.lastID, kind: 'purchase', amount: pkg.quantity, note: pkg.name });
+    const payment = await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status) VALUES (?,?,?,?,?,?,?)',
+      [id, pkg.price_cents, 'VND', 'credit_package', result.lastID, method || null, method ? 'succeeded' : 'pending']
+    );
+    await recordInShift(payment.lastID);
+    await syncCreditPaymentStatus(result.lastID);
+    await invoicePlayers([id]);
+    const row = await getAsync('SELECT id, player_id, package_id, unit, quantity, remaining, price_cents, payment_status, purchased_at, expires_at FROM player_credits WHERE id = ?', [result.lastID]);
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Payments
+
+// Payments made against one source. Event fees are recorded per player against the event.
+function sourcePaymentsFilter({ source_type, source_id, player_id }) {
+  if (source_type === 'event') {
+    return { clause: 'source_type = ? AND source_id = ? AND player_id = ?', params: [source_type, source_id, player_id] };
+  }
+  return { clause: 'source_type = ? AND source_id = ?', params: [source_type, source_id] };
+}
+
+// Money against one source: net_cents is what the club kept (charges and fees collected, less
+// refunds paid out), refunded_cents what went back. A charge marked refunded without refund
+// rows behind it counts as money returned. Fees and refunds still to settle are totalled too.
+async function sourcePaymentTotals(source) {
+  const { clause, params } = sourcePaymentsFilter(source);
+  return getAsync(
+    `SELECT COALESCE(SUM(CASE WHEN status IN ('succeeded','partial') THEN amount_cents
+                              WHEN status = 'refunded' AND EXISTS (SELECT 1 FROM payments r WHERE r.related_payment_id = payments.id) THEN amount_cents
+                              ELSE 0 END), 0) AS net_cents,
+            COALESCE(SUM(CASE WHEN kind = 'refund' AND status = 'succeeded' THEN -amount_cents
+                              WHEN kind != 'refund' AND status = 'refunded' AND NOT EXISTS (SELECT 1 FROM payments r WHERE r.related_payment_id = payments.id) THEN amount_cents
+                              ELSE 0 END), 0) AS refunded_cents,
+            COUNT(CASE WHEN kind = 'refund' OR status = 'refunded' THEN 1 END) AS refunds,
+            COALESCE(SUM(CASE WHEN kind = 'fee' AND status = 'pending' THEN amount_cents ELSE 0 END), 0) AS fees_due_cents,
+            COALESCE(SUM(CASE WHEN kind = 'refund' AND status = 'pending' THEN -amount_cents ELSE 0 END), 0) AS refunds_due_cents
+     FROM payments WHERE ${clause}`,
+    params
+  );
+}
+
+// payment_status from the money kept against what is due: partial while some but not all of
+// it is in. Cancelled sources only owe their cancellation fees.
+function paymentStatusFromTotals(totals, due_cents, cancelled) {
+  if (cancelled) {
+    if (totals.fees_due_cents > 0) return totals.net_cents > 0 ? 'partial' : 'unpaid';
+    if (totals.net_cents > 0) return 'paid';
+    return totals.refunds > 0 ? 'refunded' : 'waived';
+  }
+  if (totals.net_cents > 0) return totals.net_cents >= (due_cents || 0) ? 'paid' : 'partial';
+  return totals.refunds > 0 ? 'refunded' : 'unpaid';
+}
+
+// Where a source stands: what it is owed, the money against it, what is still outstanding and
+// the payment_status that follows (next to the one it has now). Null when the source is gone.
+//   reservation: its price less any promo discount, paid by any of its players; one paid from
+//                credits is paid while it holds them and owes no money
+//   event:       the fee less any promo discount, owed per player by the latest live
+//                registration of player_id
+//   membership:  the current term (its price is after any discount) plus what it used of
+//                earlier plans
+//   credit_package: the price of the lot
+async function sourceAccount(source) {
+  const { source_type, source_id, player_id } = source;
+  let record;
+  let due_cents = 0;
+  let cancelled = false;
+  if (source_type === 'reservation') {
+    record = await getAsync('SELECT id, status, price_cents, payment_status FROM reservations WHERE id = ?', [source_id]);
+    if (!record) return null;
+    cancelled = SETTLED_STATUSES.includes(record.status);
+    const credits = await getAsync("SELECT COUNT(*) AS n, COALESCE(-SUM(amount), 0) AS held FROM credit_transactions WHERE reservation_id = ? AND kind IN ('use','return')", [source_id]);
+    if (credits.n > 0) {
+      const totals = await sourcePaymentTotals(source);
+      return { ...totals, source_type, source_id, due_cents: 0, outstanding_cents: 0, cancelled, paid_with_credits: true, stored_status: record.payment_status, status: credits.held > 0 ? 'paid' : 'refunded' };
+    }
+    due_cents = Math.max(0, (record.price_cents || 0) - await sourceDiscountCents(source));
+  } else if (source_type === 'event') {
+    const event = await getAsync('SELECT id, fee_cents FROM events WHERE id = ?', [source_id]);
+    record = event && await getAsync(
+      `SELECT id, status, payment_status FROM event_registrations WHERE event_id = ? AND player_id = ?
+       ORDER BY status IN ('cancelled','no_show'), id DESC LIMIT 1`,
+      [source_id, player_id]
+    );
+    if (!record) return null;
+    cancelled = SETTLED_STATUSES.includes(record.status);
+    due_cents = Math.max(0, (event.fee_cents || 0) - await sourceDiscountCents(source));
+  } else if (source_type === 'membership') {
+    record = await getAsync(
+      `SELECT m.id, m.status, m.payment_status, COALESCE(m.price_cents, mp.price_cents) + m.carried_cents AS due_cents
+       FROM memberships m
+       JOIN membership_plans mp ON mp.id = m.plan_id
+       WHERE m.id = ?`,
+      [source_id]
+    );
+    if (!record) return null;
+    cancelled = record.status === 'cancelled';
+    due_cents = record.due_cents;
+  } else if (source_type === 'credit_package') {
+    record = await getAsync('SELECT id, price_cents, payment_status FROM player_credits WHERE id = ?', [source_id]);
+    if (!record) return null;
+    due_cents = record.price_cents || 0;
+  } else {
+    return null;
+  }
+  const totals = await sourcePaymentTotals(source);
+  return {
+    ...totals,
+    source_type,
+    source_id,
+    record_id: record.id,
+    due_cents,
+    outstanding_cents: cancelled ? totals.fees_due_cents : Math.max(0, due_cents - totals.net_cents),
+    cancelled,
+    stored_status: record.payment_status,
+    status: paymentStatusFromTotals(totals, due_cents, cancelled)
+  };
+}
+
+async function syncReservationPaymentStatus(reservation_id) {
+  const account = await sourceAccount({ source_type: 'reservation', source_id: reservation_id });
+  if (account) await runAsync('UPDATE reservations SET payment_status = ? WHERE id = ?', [account.status, reservation_id]);
+}
+
+async function syncRegistrationPaymentStatus(event_id, player_id) {
+  const account = await sourceAccount({ source_type: 'event', source_id: event_id, player_id });
+  if (account) await runAsync('UPDATE event_registrations SET payment_status = ? WHERE id = ?', [account.status, account.record_id]);
+}
+
+async function syncMembershipPaymentStatus(membership_id) {
+  const account = await sourceAccount({ source_type: 'membership', source_id: membership_id });
+  if (account) await runAsync('UPDATE memberships SET payment_status = ? WHERE id = ?', [account.status, membership_id]);
+}
+
+// Bring the record a payment was made against up to date after the payment changed
+async function syncSourcePaymentStatus({ source_type, source_id, player_id }) {
+  if (!source_id) return;
+  if (source_type === 'reservation') await syncReservationPaymentStatus(source_id);
+  else if (source_type === 'event') await syncRegistrationPaymentStatus(source_id, player_id);
+  else if (source_type === 'membership') await syncMembershipPaymentStatus(source_id);
+  else if (source_type === 'credit_package') await syncCreditPaymentStatus(source_id);
+}
+
+// Payments are allocations against what a source is owed: several may share it, but together
+// they cannot take in more than is outstanding. Payments without a known source are not capped.
+async function assertWithinBalance(source, amount_cents) {
+  if (!source.source_type || !source.source_id) return;
+  const account = await sourceAccount(source);
+  if (account && amount_cents > account.outstanding_cents) {
+    throw Object.assign(new Error(`Amount exceeds the outstanding balance of ${account.outstanding_cents}.`), { status: 422 });
+  }
+}
+
+// Apply the cancellation policy to a source being cancelled or marked no-show: refund
+// whatever was paid beyond the fee, spread over its payments, and record any fee still
+// owed as a pending payment by payer_id.
+async function settleCancellation({ applies_to, source, payer_id, start_time, price_cents, no_show = false }) {
+  const policy = await getAsync(
+    'SELECT free_hours_before, late_fee_percent, no_show_fee_percent FROM cancellation_policies WHERE applies_to = ?',
+    [applies_to]
+  );
+  const hoursBefore = (parseDateTime(start_time) - new Date()) / 3600000;
+  let fee_percent = 0;
+  if (no_show) fee_percent = policy ? policy.no_show_fee_percent : 100;
+  else if (policy && hoursBefore < policy.free_hours_before) fee_percent = policy.late_fee_percent;
+  // bookings paid from credits settle in credits, not money
+  if (source.source_type === 'reservation' && (await reservationCredits(source.source_id)).length > 0) {
+    const credits_returned = await returnReservationCredits(source.source_id, fee_percent);
+    return { fee_percent, fee_cents: 0, refunded_cents: 0, fee_due_cents: 0, credits_returned };
+  }
+  const discount_cents = await sourceDiscountCents(source);
+  const fee_cents = Math.round(Math.max(0, (price_cents || 0) - discount_cents) * fee_percent / 100);
+  // a cancellation that keeps nothing frees the promo code it used
+  if (!no_show && fee_cents === 0) await releaseRedemptions(source);
+  const { clause, params } = sourcePaymentsFilter(source);
+  const charges = await allAsync(
+    `SELECT id, player_id, amount_cents, currency, method FROM payments
+     WHERE ${clause} AND kind = 'charge' AND status = 'succeeded'
+     ORDER BY id`,
+    params
+  );
+  const paid_cents = charges.reduce((sum, c) => sum + c.amount_cents, 0);
+  const refunded_cents = Math.max(0, paid_cents - fee_cents);
+  let remaining = refunded_cents;
+  for (const [i, charge] of charges.entries()) {
+    const amount = i === charges.length - 1 ? remaining : Math.round(charge.amount_cents * refunded_cents / paid_cents);
+    if (amount <= 0) continue;
+    remaining -= amount;
+    const refund = await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status, kind, related_payment_id) VALUES (?,?,?,?,?,?,?,?,?)',
+      [charge.player_id, -amount, charge.currency, source.source_type, source.source_id, charge.method, 'succeeded', 'refund', charge.id]
+    );
+    await recordInShift(refund.lastID);
+    await runAsync('UPDATE payments SET status = ? WHERE id = ?', [amount >= charge.amount_cents ? 'refunded' : 'partial', charge.id]);
+  }
+  const fee_due_cents = Math.max(0, fee_cents - paid_cents);
+  if (fee_due_cents > 0) {
+    await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, status, kind) VALUES (?,?,?,?,?,?,?)',
+      [payer_id, fee_due_cents, 'VND', source.source_type, source.source_id, 'pending', 'fee']
+    );
+  }
+  return { fee_percent, fee_cents, refunded_cents, fee_due_cents };
+}
+
+// Totals over several settlements (scoped series cancellations)
+function sumSettlements(settlements) {
+  return settlements.reduce(
+    (total, s) => {
+      const credits_returned = { ...total.credits_returned };
+      for (const [unit, amount] of Object.entries(s.credits_returned || {})) credits_returned[unit] = (credits_returned[unit] || 0) + amount;
+      return { fee_cents: total.fee_cents + s.fee_cents, refunded_cents: total.refunded_cents + s.refunded_cents, fee_due_cents: total.fee_due_cents + s.fee_due_cents, credits_returned };
+    },
+    { fee_cents: 0, refunded_cents: 0, fee_due_cents: 0, credits_returned: {} }
+  );
+}
+
+app.get('/api/cancellation-policies', async (req, res) => {
+  try {
+    const rows = await allAsync('SELECT applies_to, free_hours_before, late_fee_percent, no_show_fee_percent FROM cancellation_policies ORDER BY applies_to DESC');
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/cancellation-policies/:appliesTo', async (req, res) => {
+  const { appliesTo } = req.params;
+  const { free_hours_before, late_fee_percent, no_show_fee_percent } = req.body;
+  try {
+    const current = await getAsync('SELECT applies_to, free_hours_before, late_fee_percent, no_show_fee_percent FROM cancellation_policies WHERE applies_to = ?', [appliesTo]);
+    if (!current) return res.status(404).json({ error: 'Cancellation policy not found' });
+    const next = {
+      free_hours_before: free_hours_before !== undefined ? Number(free_hours_before) : current.free_hours_before,
+      late_fee_percent: late_fee_percent !== undefined ? Number(late_fee_percent) : current.late_fee_percent,
+      no_show_fee_percent: no_show_fee_percent !== undefined ? Number(no_show_fee_percent) : current.no_show_fee_percent
+    };
+    if (!(next.free_hours_before >= 0) || [next.late_fee_percent, next.no_show_fee_percent].some((p) => !(p >= 0 && p <= 100))) {
+      return res.status(400).json({ error: 'Hours must be zero or more and fees between 0 and 100 percent.' });
+    }
+    await runAsync(
+      'UPDATE cancellation_policies SET free_hours_before = ?, late_fee_percent = ?, no_show_fee_percent = ? WHERE applies_to = ?',
+      [next.free_hours_before, next.late_fee_percent, next.no_show_fee_percent, appliesTo]
+    );
+    res.json({ applies_to: appliesTo, ...next });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/payments', async (req, res) => {
+  try {
+    const rows = await allAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       ORDER BY pay.created_at DESC`);
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Payments taken at the desk. QR and e-wallet payments are confirmed by the payment provider
+// (see /api/payments/checkout), so they cannot be recorded here; refunds go through
+// /api/payments/:id/refund.
+app.post('/api/payments', async (req, res) => {
+  const { player_id, amount_cents, currency, source_type, source_id, method, status } = req.body;
+  if (ONLINE_PAYMENT_CHANNELS.includes(method)) {
+    return res.status(422).json({ error: 'QR and e-wallet payments go through the payment provider; start a checkout instead.' });
+  }
+  if (!(amount_cents > 0)) return res.status(400).json({ error: 'Amount must be positive; refund a payment to return money.' });
+  try {
+    if (status !== 'failed') await assertWithinBalance({ source_type, source_id, player_id }, amount_cents);
+    const result = await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status) VALUES (?,?,?,?,?,?,?)',
+      [player_id, amount_cents, currency || 'VND', source_type, source_id, method, status || 'pending']
+    );
+    await recordInShift(result.lastID);
+    await attachRedemption(result.lastID);
+    await syncSourcePaymentStatus({ source_type, source_id, player_id });
+    await invoiceSource({ source_type, source_id, player_id });
+    const row = await getAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.id = ?`,
+      [result.lastID]
+    );
+    res.status(201).json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/payments/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const fields = req.body;
   const setClauses = [];
   const values = [];
   for (const key of Object.keys(fields)) {
@@ -475,225 +4041,1027 @@ app.patch('/api/event-registrations/:id', async (req, res) => {
   }
   values.push(id);
   try {
-    await runAsync(`UPDATE event_registrations SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    const previous = await getAsync('SELECT source_type, source_id, player_id, provider, amount_cents, status, kind FROM payments WHERE id = ?', [id]);
+    if (previous && previous.provider && ['status', 'amount_cents', 'provider', 'checkout_ref'].some((key) => key in fields)) {
+      return res.status(409).json({ error: 'The status and amount of an online payment come from its provider.' });
+    }
+    // collecting a pending or failed payment takes money in, so it has to fit the balance
+    if (previous && previous.kind !== 'refund' && ['succeeded', 'partial'].includes(fields.status) && !['succeeded', 'partial'].includes(previous.status)) {
+      const { source_type, source_id, player_id, amount_cents } = { ...previous, ...fields };
+      await assertWithinBalance({ source_type, source_id, player_id }, amount_cents);
+    }
+    await runAsync(`UPDATE payments SET ${setClauses.join(', ')} WHERE id = ?`, values);
+    // only collecting a pending or failed payment moves money through the current drawer
+    if (previous && ['pending', 'failed'].includes(previous.status) && MONEY_MOVED_STATUSES.includes(fields.status)) {
+      await recordInShift(id);
+    }
     const row = await getAsync(
-      `SELECT er.id, er.event_id, er.player_id, p.name AS player_name, er.registered_at, er.payment_status, er.status
-       FROM event_registrations er
-       JOIN players p ON p.id = er.player_id
-       WHERE er.id = ?`,
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.id = ?`,
+      [id]
+    );
+    // the payment may have been moved to another source
+    if (previous) await syncSourcePaymentStatus(previous);
+    if (row) await syncSourcePaymentStatus(row);
+    if (previous) await invoiceSource(previous);
+    if (row) await invoiceSource(row);
+    res.json(row);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/payments/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const payment = await getAsync('SELECT source_type, source_id, player_id FROM payments WHERE id = ?', [id]);
+    await runAsync('DELETE FROM payments WHERE id = ?', [id]);
+    // the discount waits for the next payment
+    await runAsync('UPDATE promo_redemptions SET payment_id = NULL WHERE payment_id = ?', [id]);
+    if (payment) await syncSourcePaymentStatus(payment);
+    if (payment) await invoiceSource(payment);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What a source is owed, what has been paid and refunded against it and what is outstanding.
+// Event fees are per player: ?source_type=event&source_id=<event>&player_id=<player>
+app.get('/api/payments/balance', async (req, res) => {
+  const { source_type } = req.query;
+  const source_id = parseInt(req.query.source_id, 10);
+  const player_id = req.query.player_id ? parseInt(req.query.player_id, 10) : null;
+  try {
+    const account = await sourceAccount({ source_type, source_id, player_id });
+    if (!account) return res.status(404).json({ error: 'Source not found' });
+    res.json(account);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Refund (part of) a received payment: { amount_cents, method }. The refund is a negative
+// payment linked to the original; together the refunds of a payment never exceed what it
+// took in. amount_cents defaults to whatever is left to refund, method to the original's.
+app.post('/api/payments/:id/refund', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { method } = req.body;
+  try {
+    const payment = await getAsync('SELECT id, player_id, amount_cents, currency, source_type, source_id, method, status, kind FROM payments WHERE id = ?', [id]);
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    if (payment.kind === 'refund' || !['succeeded', 'partial'].includes(payment.status)) {
+      return res.status(409).json({ error: 'Only a received payment can be refunded.' });
+    }
+    const { refunded_cents } = await getAsync(
+      "SELECT COALESCE(-SUM(amount_cents), 0) AS refunded_cents FROM payments WHERE related_payment_id = ? AND kind = 'refund' AND status != 'failed'",
       [id]
     );
-    res.json(row);
+    const refundable_cents = payment.amount_cents - refunded_cents;
+    const amount = req.body.amount_cents != null ? parseInt(req.body.amount_cents, 10) : refundable_cents;
+    if (!(amount > 0)) return res.status(400).json({ error: 'Refund amount must be positive.' });
+    if (amount > refundable_cents) {
+      return res.status(422).json({ error: `At most ${refundable_cents} of this payment can still be refunded.` });
+    }
+    const result = await runAsync(
+      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status, kind, related_payment_id) VALUES (?,?,?,?,?,?,?,?,?)',
+      [payment.player_id, -amount, payment.currency, payment.source_type, payment.source_id, method || payment.method, 'succeeded', 'refund', id]
+    );
+    await recordInShift(result.lastID);
+    await runAsync('UPDATE payments SET status = ? WHERE id = ?', [amount >= refundable_cents ? 'refunded' : 'partial', id]);
+    await syncSourcePaymentStatus(payment);
+    await invoiceSource(payment);
+    const rows = await allAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.id IN (?, ?)`,
+      [id, result.lastID]
+    );
+    res.status(201).json({ refund: rows.find((r) => r.id === result.lastID), payment: rows.find((r) => r.id === id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Promo codes
+
+// A code takes a percentage or a fixed amount off a booking, an event fee or a membership term
+// when the source is created. Each use is a redemption against that source; the source owes
+// the discounted price and the payment that settles it records the discount.
+const PROMO_SOURCE_TYPES = ['reservation', 'event', 'membership'];
+const PROMO_COLUMNS = 'id, code, description, discount_type, discount_value, applies_to, valid_from, valid_to, max_uses, max_uses_per_player, active, created_at';
+
+function promoRow(row) {
+  return row && { ...row, applies_to: JSON.parse(row.applies_to) };
+}
+
+// The discount a code gives on amount_cents for player_id, or a 422 saying why it cannot be used
+async function checkPromoCode(code, { source_type, player_id, amount_cents }) {
+  const promo = promoRow(await getAsync(`SELECT ${PROMO_COLUMNS} FROM promo_codes WHERE code = ?`, [String(code).trim().toUpperCase()]));
+  const reject = (message) => Object.assign(new Error(message), { status: 422 });
+  if (!promo || !promo.active) throw reject(`Promo code ${code} is not valid.`);
+  if (!promo.applies_to.includes(source_type)) throw reject(`Promo code ${promo.code} does not apply to ${source_type} payments.`);
+  const day = today();
+  if (promo.valid_from && day < promo.valid_from) throw reject(`Promo code ${promo.code} is valid from ${promo.valid_from}.`);
+  if (promo.valid_to && day > promo.valid_to) throw reject(`Promo code ${promo.code} expired on ${promo.valid_to}.`);
+  const uses = await getAsync(
+    'SELECT COUNT(*) AS total, COUNT(CASE WHEN player_id = ? THEN 1 END) AS player FROM promo_redemptions WHERE promo_code_id = ?',
+    [player_id, promo.id]
+  );
+  if (promo.max_uses != null && uses.total >= promo.max_uses) throw reject(`Promo code ${promo.code} has been used up.`);
+  if (promo.max_uses_per_player != null && uses.player >= promo.max_uses_per_player) {
+    throw reject(`This player has already used promo code ${promo.code}.`);
+  }
+  const discount_cents = promo.discount_type === 'percent'
+    ? Math.round(amount_cents * promo.discount_value / 100)
+    : Math.min(promo.discount_value, amount_cents);
+  if (!(discount_cents > 0)) throw reject(`Promo code ${promo.code} gives no discount on a free ${source_type}.`);
+  return { promo_code_id: promo.id, code: promo.code, original_cents: amount_cents, discount_cents };
+}
+
+async function redeemPromoCode(check, { player_id, source_type, source_id }) {
+  await runAsync(
+    'INSERT INTO promo_redemptions (promo_code_id, player_id, source_type, source_id, original_cents, discount_cents) VALUES (?,?,?,?,?,?)',
+    [check.promo_code_id, player_id, source_type, source_id, check.original_cents, check.discount_cents]
+  );
+}
+
+// Promo discount off the listed price of a booking or of a player's event fee. A membership's
+// discount is already out of its term price.
+async function sourceDiscountCents({ source_type, source_id, player_id }) {
+  if (!['reservation', 'event'].includes(source_type)) return 0;
+  const row = await getAsync(
+    `SELECT COALESCE(SUM(discount_cents), 0) AS cents FROM promo_redemptions
+     WHERE source_type = ? AND source_id = ? ${source_type === 'event' ? 'AND player_id = ?' : ''}`,
+    source_type === 'event' ? [source_type, source_id, player_id] : [source_type, source_id]
+  );
+  return row.cents;
+}
+
+// Give a source's code uses back, as when it is cancelled without anything kept: the
+// redemptions go and its charges no longer carry the discount
+async function releaseRedemptions({ source_type, source_id, player_id }) {
+  if (!PROMO_SOURCE_TYPES.includes(source_type)) return;
+  const filter = `source_type = ? AND source_id = ? ${source_type === 'event' ? 'AND player_id = ?' : ''}`;
+  const params = source_type === 'event' ? [source_type, source_id, player_id] : [source_type, source_id];
+  await runAsync(
+    `UPDATE payments SET promo_code_id = NULL, discount_cents = 0
+     WHERE id IN (SELECT payment_id FROM promo_redemptions WHERE ${filter})`,
+    params
+  );
+  await runAsync(`DELETE FROM promo_redemptions WHERE ${filter}`, params);
+}
+
+// Record a source's discount on a charge made against it. The first charge takes it; one that
+// failed hands it on to the next.
+async function attachRedemption(payment_id) {
+  const payment = await getAsync('SELECT id, source_type, source_id, player_id, kind, status FROM payments WHERE id = ?', [payment_id]);
+  if (!payment || payment.kind !== 'charge' || payment.status === 'failed' || !PROMO_SOURCE_TYPES.includes(payment.source_type)) return;
+  const redemption = await getAsync(
+    `SELECT id, promo_code_id, discount_cents, payment_id FROM promo_redemptions
+     WHERE source_type = ? AND source_id = ? ${payment.source_type === 'event' ? 'AND player_id = ?' : ''}
+       AND (payment_id IS NULL OR payment_id IN (SELECT id FROM payments WHERE status = 'failed'))
+     ORDER BY id LIMIT 1`,
+    payment.source_type === 'event' ? [payment.source_type, payment.source_id, payment.player_id] : [payment.source_type, payment.source_id]
+  );
+  if (!redemption) return;
+  if (redemption.payment_id) await runAsync('UPDATE payments SET promo_code_id = NULL, discount_cents = 0 WHERE id = ?', [redemption.payment_id]);
+  await runAsync('UPDATE promo_redemptions SET payment_id = ? WHERE id = ?', [payment.id, redemption.id]);
+  await runAsync('UPDATE payments SET promo_code_id = ?, discount_cents = ? WHERE id = ?', [redemption.promo_code_id, redemption.discount_cents, payment.id]);
+}
+
+// Validate a promo code definition (merged over the current one when editing)
+function promoCodeError(promo) {
+  if (!promo.code || !/^[A-Z0-9_-]+$/.test(promo.code)) return 'Code must be letters, digits, - or _.';
+  if (!['percent', 'fixed'].includes(promo.discount_type)) return 'discount_type must be percent or fixed.';
+  if (!(promo.discount_value > 0) || (promo.discount_type === 'percent' && promo.discount_value > 100)) {
+    return 'The discount must be positive, and at most 100 percent.';
+  }
+  if (!Array.isArray(promo.applies_to) || promo.applies_to.length === 0 || promo.applies_to.some((t) => !PROMO_SOURCE_TYPES.includes(t))) {
+    return `applies_to must list some of: ${PROMO_SOURCE_TYPES.join(', ')}`;
+  }
+  if (promo.valid_from && promo.valid_to && promo.valid_from > promo.valid_to) return 'valid_from must not be after valid_to.';
+  if ([promo.max_uses, promo.max_uses_per_player].some((n) => n != null && !(Number.isInteger(n) && n > 0))) {
+    return 'Usage limits must be positive whole numbers.';
+  }
+  return null;
+}
+
+function promoCodeInput(body, current = {}) {
+  const pick = (key) => (body[key] !== undefined ? body[key] : current[key]);
+  const limit = (key) => {
+    const value = pick(key);
+    return value === '' || value == null ? null : Number(value);
+  };
+  return {
+    code: String(pick('code') || '').trim().toUpperCase(),
+    description: pick('description') || null,
+    discount_type: pick('discount_type'),
+    discount_value: Number(pick('discount_value')),
+    applies_to: pick('applies_to') || PROMO_SOURCE_TYPES,
+    valid_from: pick('valid_from') || null,
+    valid_to: pick('valid_to') || null,
+    max_uses: limit('max_uses'),
+    max_uses_per_player: limit('max_uses_per_player'),
+    active: pick('active') === undefined ? 1 : pick('active') ? 1 : 0
+  };
+}
+
+const PROMO_SELECT = `SELECT pc.id, pc.code, pc.description, pc.discount_type, pc.discount_value, pc.applies_to, pc.valid_from, pc.valid_to,
+         pc.max_uses, pc.max_uses_per_player, pc.active, pc.created_at,
+         (SELECT COUNT(*) FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id) AS uses,
+         (SELECT COALESCE(SUM(pr.discount_cents), 0) FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id) AS discount_total_cents
+       FROM promo_codes pc`;
+
+app.get('/api/promo-codes', async (req, res) => {
+  try {
+    const rows = await allAsync(`${PROMO_SELECT} ORDER BY pc.active DESC, pc.code`);
+    res.json(rows.map(promoRow));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/promo-codes', async (req, res) => {
+  const promo = promoCodeInput(req.body);
+  const error = promoCodeError(promo);
+  if (error) return res.status(400).json({ error });
+  try {
+    const existing = await getAsync('SELECT id FROM promo_codes WHERE code = ?', [promo.code]);
+    if (existing) return res.status(409).json({ error: `Promo code ${promo.code} already exists.` });
+    const result = await runAsync(
+      'INSERT INTO promo_codes (code, description, discount_type, discount_value, applies_to, valid_from, valid_to, max_uses, max_uses_per_player, active) VALUES (?,?,?,?,?,?,?,?,?,?)',
+      [promo.code, promo.description, promo.discount_type, promo.discount_value, JSON.stringify(promo.applies_to), promo.valid_from, promo.valid_to, promo.max_uses, promo.max_uses_per_player, promo.active]
+    );
+    res.status(201).json(promoRow(await getAsync(`${PROMO_SELECT} WHERE pc.id = ?`, [result.lastID])));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/promo-codes/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const current = promoRow(await getAsync(`SELECT ${PROMO_COLUMNS} FROM promo_codes WHERE id = ?`, [id]));
+    if (!current) return res.status(404).json({ error: 'Promo code not found' });
+    const promo = promoCodeInput(req.body, current);
+    const error = promoCodeError(promo);
+    if (error) return res.status(400).json({ error });
+    const clash = await getAsync('SELECT id FROM promo_codes WHERE code = ? AND id != ?', [promo.code, id]);
+    if (clash) return res.status(409).json({ error: `Promo code ${promo.code} already exists.` });
+    await runAsync(
+      'UPDATE promo_codes SET code = ?, description = ?, discount_type = ?, discount_value = ?, applies_to = ?, valid_from = ?, valid_to = ?, max_uses = ?, max_uses_per_player = ?, active = ? WHERE id = ?',
+      [promo.code, promo.description, promo.discount_type, promo.discount_value, JSON.stringify(promo.applies_to), promo.valid_from, promo.valid_to, promo.max_uses, promo.max_uses_per_player, promo.active, id]
+    );
+    res.json(promoRow(await getAsync(`${PROMO_SELECT} WHERE pc.id = ?`, [id])));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete('/api/event-registrations/:id', async (req, res) => {
+// Codes that were used stay for the redemption report; deactivate them instead
+app.delete('/api/promo-codes/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   try {
-    await runAsync('DELETE FROM event_registrations WHERE id = ?', [id]);
+    const used = await getAsync('SELECT COUNT(*) AS n FROM promo_redemptions WHERE promo_code_id = ?', [id]);
+    if (used.n > 0) return res.status(409).json({ error: 'This promo code has been redeemed; deactivate it instead.' });
+    await runAsync('DELETE FROM promo_codes WHERE id = ?', [id]);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Membership plans
-app.get('/api/membership-plans', async (req, res) => {
+// Payment providers
+
+// QR bank transfers (VietQR) and e-wallets are paid through a provider: the payment stays
+// pending with the provider's checkout reference until the provider confirms it with a signed
+// webhook, and fails if the checkout is not paid in time. A provider implements
+//   createCheckout(payment, channel) → { checkout_ref, checkout_url, qr_data, deeplink }
+//   verifySignature(rawBody, headers) → true when the callback really comes from the provider
+//   parseWebhook(body) → { event_id, checkout_ref, status: 'succeeded' | 'failed', amount_cents }
+const ONLINE_PAYMENT_CHANNELS = ['qr', 'wallet'];
+const CHECKOUT_TTL_MINUTES = 15;
+
+// Sales settled on the spot are paid at the desk; money through an online channel only
+// counts once the provider confirms it, so those charges are left pending for a checkout
+function assertDeskMethod(method) {
+  if (ONLINE_PAYMENT_CHANNELS.includes(method)) {
+    throw Object.assign(new Error('QR and e-wallet payments go through the payment provider; leave the charge pending and start a checkout for it.'), { status: 422 });
+  }
+}
+
+function signatureMatches(expected, given) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(given || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Stand-in for a real gateway so the flow can be tried offline: customers "pay" through
+// POST /api/payment-providers/fake/simulate, which sends the signed webhook a gateway would.
+// Only available with PAYMENT_PROVIDER=fake, and then only with its own FAKE_PROVIDER_SECRET.
+const fakeProvider = {
+  secret: process.env.FAKE_PROVIDER_SECRET,
+  createCheckout(payment, channel) {
+    const checkout_ref = `FAKE-${payment.id}-${crypto.randomBytes(4).toString('hex')}`;
+    return {
+      checkout_ref,
+      checkout_url: null,
+      qr_data: channel === 'qr' ? `FAKEQR|${checkout_ref}|${payment.amount_cents}|VND` : null,
+      deeplink: channel === 'wallet' ? `fakewallet://pay?ref=${checkout_ref}&amount=${payment.amount_cents}` : null
+    };
+  },
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+  },
+  verifySignature(rawBody, headers) {
+    return signatureMatches(this.sign(rawBody), headers['x-fake-signature']);
+  },
+  parseWebhook(body) {
+    return { event_id: body.event_id, checkout_ref: body.checkout_ref, status: body.status, amount_cents: body.amount_cents };
+  }
+};
+
+const PAYMENT_PROVIDERS = {};
+const DEFAULT_PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+if (DEFAULT_PAYMENT_PROVIDER === 'fake') {
+  if (!fakeProvider.secret) throw new Error('FAKE_PROVIDER_SECRET must be set when PAYMENT_PROVIDER is fake.');
+  PAYMENT_PROVIDERS.fake = fakeProvider;
+}
+
+// Create a pending payment and open a checkout for it with the provider
+async function startCheckout({ provider: providerName = DEFAULT_PAYMENT_PROVIDER, channel, player_id, amount_cents, source_type, source_id }) {
+  if (!providerName) throw Object.assign(new Error('Online payments are not set up: no payment provider is configured.'), { status: 503 });
+  const provider = PAYMENT_PROVIDERS[providerName];
+  if (!provider) throw Object.assign(new Error(`Unknown payment provider: ${providerName}`), { status: 400 });
+  if (!ONLINE_PAYMENT_CHANNELS.includes(channel)) {
+    throw Object.assign(new Error(`Channel must be one of: ${ONLINE_PAYMENT_CHANNELS.join(', ')}`), { status: 400 });
+  }
+  if (!(amount_cents > 0)) throw Object.assign(new Error('Amount must be positive.'), { status: 400 });
+  const player = await getAsync('SELECT id FROM players WHERE id = ?', [player_id]);
+  if (!player) throw Object.assign(new Error('Player not found'), { status: 404 });
+  await assertWithinBalance({ source_type, source_id, player_id }, amount_cents);
+  const expires_at = formatDateTime(new Date(Date.now() + CHECKOUT_TTL_MINUTES * 60000));
+  const result = await runAsync(
+    'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status, provider, expires_at) VALUES (?,?,?,?,?,?,?,?,?)',
+    [player_id, amount_cents, 'VND', source_type || null, source_id || null, channel, 'pending', providerName, expires_at]
+  );
+  const checkout = provider.createCheckout({ id: result.lastID, amount_cents }, channel);
+  await runAsync('UPDATE payments SET checkout_ref = ? WHERE id = ?', [checkout.checkout_ref, result.lastID]);
+  await attachRedemption(result.lastID);
+  await syncSourcePaymentStatus({ source_type, source_id, player_id });
+  await invoiceSource({ source_type, source_id, player_id });
+  return { payment_id: result.lastID, provider: providerName, channel, amount_cents, expires_at, ...checkout };
+}
+
+// Apply a provider callback. Each event is applied once: the event id is claimed before
+// anything changes, so replays (and retries racing the original) only report the first result.
+// A payment confirmed after its checkout lapsed still counts, since the money did arrive.
+async function applyProviderEvent(providerName, rawBody, headers) {
+  const provider = PAYMENT_PROVIDERS[providerName];
+  if (!provider) throw Object.assign(new Error(`Unknown payment provider: ${providerName}`), { status: 404 });
+  if (!provider.verifySignature(rawBody || '', headers)) throw Object.assign(new Error('Invalid signature'), { status: 401 });
+  let event;
   try {
-    const rows = await allAsync('SELECT id, name, period_months, price_cents, description FROM membership_plans');
-    res.json(rows);
+    event = provider.parseWebhook(JSON.parse(rawBody));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    event = {};
+  }
+  if (!event.event_id || !event.checkout_ref || !['succeeded', 'failed'].includes(event.status)) {
+    throw Object.assign(new Error('Malformed webhook'), { status: 400 });
+  }
+  const claim = await runAsync(
+    'INSERT OR IGNORE INTO payment_webhook_events (provider, event_id, checkout_ref, status, payload) VALUES (?,?,?,?,?)',
+    [providerName, event.event_id, event.checkout_ref, event.status, rawBody]
+  );
+  if (!claim.changes) {
+    const seen = await getAsync('SELECT result FROM payment_webhook_events WHERE provider = ? AND event_id = ?', [providerName, event.event_id]);
+    return { duplicate: true, result: seen.result };
+  }
+  const payment = await getAsync(
+    'SELECT id, player_id, amount_cents, source_type, source_id, status FROM payments WHERE provider = ? AND checkout_ref = ?',
+    [providerName, event.checkout_ref]
+  );
+  let result = 'applied';
+  if (!payment) result = 'unknown_checkout';
+  else if (event.status === 'succeeded' && event.amount_cents !== payment.amount_cents) result = 'amount_mismatch';
+  else if (payment.status === event.status || !['pending', 'failed'].includes(payment.status)) result = 'ignored';
+  else {
+    await runAsync('UPDATE payments SET status = ? WHERE id = ?', [event.status, payment.id]);
+    await recordInShift(payment.id);
+    await syncSourcePaymentStatus(payment);
+    await invoiceSource(payment);
   }
+  await runAsync('UPDATE payment_webhook_events SET result = ? WHERE provider = ? AND event_id = ?', [result, providerName, event.event_id]);
+  return { duplicate: false, result, payment_id: payment ? payment.id : null };
+}
+
+// Every minute: checkouts not paid in time fail
+async function expireCheckouts() {
+  const lapsed = await allAsync(
+    "SELECT id, player_id, source_type, source_id FROM payments WHERE provider IS NOT NULL AND status = 'pending' AND expires_at <= ?",
+    [formatDateTime(new Date())]
+  );
+  for (const payment of lapsed) {
+    await runAsync("UPDATE payments SET status = 'failed' WHERE id = ?", [payment.id]);
+    await syncSourcePaymentStatus(payment);
+    await invoiceSource(payment);
+  }
+}
+
+app.get('/api/payment-providers', (req, res) => {
+  res.json({
+    default: DEFAULT_PAYMENT_PROVIDER,
+    providers: Object.keys(PAYMENT_PROVIDERS),
+    channels: ONLINE_PAYMENT_CHANNELS,
+    checkout_ttl_minutes: CHECKOUT_TTL_MINUTES
+  });
 });
 
-app.post('/api/membership-plans', async (req, res) => {
-  const { name, period_months, price_cents, description } = req.body;
+// Start an online payment: { player_id, amount_cents, source_type, source_id, channel, provider }
+app.post('/api/payments/checkout', async (req, res) => {
   try {
-    const result = await runAsync('INSERT INTO membership_plans (name, period_months, price_cents, description) VALUES (?,?,?,?)', [name, period_months, price_cents, description]);
-    const row = await getAsync('SELECT id, name, period_months, price_cents, description FROM membership_plans WHERE id = ?', [result.lastID]);
-    res.status(201).json(row);
+    const checkout = await startCheckout({ ...req.body, amount_cents: parseInt(req.body.amount_cents, 10) });
+    const payment = await getAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.id = ?`,
+      [checkout.payment_id]
+    );
+    res.status(201).json({ payment, checkout });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.patch('/api/membership-plans/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const fields = req.body;
-  const setClauses = [];
-  const values = [];
-  Object.keys(fields).forEach((key) => {
-    setClauses.push(`${key} = ?`);
-    values.push(fields[key]);
-  });
-  values.push(id);
+// Provider callbacks. Anything signed is acknowledged with 200 so the provider stops retrying,
+// including events for unknown checkouts.
+app.post('/api/payment-providers/:provider/webhook', async (req, res) => {
   try {
-    await runAsync(`UPDATE membership_plans SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    const row = await getAsync('SELECT id, name, period_months, price_cents, description FROM membership_plans WHERE id = ?', [id]);
-    res.json(row);
+    res.json(await applyProviderEvent(req.params.provider, req.rawBody, req.headers));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.delete('/api/membership-plans/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
+// Fake provider only: pay or fail a checkout the way a customer would. Reusing an event_id
+// replays that webhook; amount_cents defaults to the checkout amount.
+if (PAYMENT_PROVIDERS.fake) {
+  app.post('/api/payment-providers/fake/simulate', async (req, res) => {
+    const { checkout_ref, status = 'succeeded', event_id, amount_cents } = req.body;
+    try {
+      const payment = await getAsync("SELECT amount_cents FROM payments WHERE provider = 'fake' AND checkout_ref = ?", [checkout_ref]);
+      if (!payment) return res.status(404).json({ error: 'Checkout not found' });
+      const rawBody = JSON.stringify({
+        event_id: event_id || `evt_${crypto.randomBytes(6).toString('hex')}`,
+        checkout_ref,
+        status,
+        amount_cents: amount_cents != null ? amount_cents : payment.amount_cents
+      });
+      res.json(await applyProviderEvent('fake', rawBody, { 'x-fake-signature': fakeProvider.sign(rawBody) }));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+}
+
+// Cash drawer shifts
+
+// Front-desk staff open a shift with a starting float; every payment taken in or paid out
+// while it is open is recorded under it (see recordInShift). Closing enters the counted cash
+// against the expected amount. Money moved with no shift open stays unassigned and is flagged
+// in the close-out report.
+const MONEY_MOVED_STATUSES = ['succeeded', 'partial', 'refunded'];
+
+async function openShift() {
+  return getAsync('SELECT id FROM cash_shifts WHERE closed_at IS NULL ORDER BY id DESC LIMIT 1');
+}
+
+// Put a payment on the open shift once money has changed hands; pending and failed payments
+// wait until they are collected
+async function recordInShift(payment_id) {
+  const shift = await openShift();
+  if (!shift) return;
+  await runAsync(
+    `UPDATE payments SET shift_id = ?
+     WHERE id = ? AND shift_id IS NULL AND status IN (${MONEY_MOVED_STATUSES.map(() => '?').join(',')})`,
+    [shift.id, payment_id, ...MONEY_MOVED_STATUSES]
+  );
+}
+
+// Totals of a shift by method (refunds count negative) and the cash the drawer should hold
+async function shiftSummary(shift) {
+  const rows = await allAsync(
+    `SELECT COALESCE(method, 'other') AS method, COUNT(*) AS payments, SUM(amount_cents) AS total_cents
+     FROM payments
+     WHERE shift_id = ? AND status IN (${MONEY_MOVED_STATUSES.map(() => '?').join(',')})
+     GROUP BY COALESCE(method, 'other')
+     ORDER BY method`,
+    [shift.id, ...MONEY_MOVED_STATUSES]
+  );
+  const by_method = Object.fromEntries(rows.map((r) => [r.method, r.total_cents]));
+  const expected_cash_cents = shift.closed_at ? shift.expected_cash_cents : shift.opening_float_cents + (by_method.cash || 0);
+  return {
+    ...shift,
+    status: shift.closed_at ? 'closed' : 'open',
+    by_method,
+    payments: rows.reduce((sum, r) => sum + r.payments, 0),
+    total_cents: rows.reduce((sum, r) => sum + r.total_cents, 0),
+    expected_cash_cents,
+    variance_cents: shift.counted_cash_cents != null ? shift.counted_cash_cents - expected_cash_cents : null
+  };
+}
+
+async function loadShift(id) {
+  const shift = await getAsync('SELECT id, staff_name, opening_float_cents, opened_at, closed_at, expected_cash_cents, counted_cash_cents, note FROM cash_shifts WHERE id = ?', [id]);
+  if (!shift) throw Object.assign(new Error('Shift not found'), { status: 404 });
+  return shiftSummary(shift);
+}
+
+// Shifts opened on ?date= (default today), newest first
+app.get('/api/shifts', async (req, res) => {
+  const date = req.query.date || today();
   try {
-    await runAsync('DELETE FROM membership_plans WHERE id = ?', [id]);
-    res.json({ ok: true });
+    const shifts = await allAsync(
+      "SELECT id, staff_name, opening_float_cents, opened_at, closed_at, expected_cash_cents, counted_cash_cents, note FROM cash_shifts WHERE substr(opened_at,1,10) = ? ORDER BY id DESC",
+      [date]
+    );
+    res.json(await Promise.all(shifts.map(shiftSummary)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Memberships
-app.get('/api/memberships', async (req, res) => {
+// The open shift, or null
+app.get('/api/shifts/current', async (req, res) => {
   try {
-    const rows = await allAsync(
-      `SELECT m.id, m.player_id, p.name AS player_name, m.plan_id, mp.name AS plan_name,
-              m.start_date, m.end_date, m.status
-       FROM memberships m
-       JOIN players p ON p.id = m.player_id
-       JOIN membership_plans mp ON mp.id = m.plan_id
-       ORDER BY m.start_date`);
-    res.json(rows);
+    const shift = await openShift();
+    res.json(shift ? await loadShift(shift.id) : null);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.post('/api/memberships', async (req, res) => {
-  const { player_id, plan_id, start_date, end_date, status } = req.body;
+// Open a shift: { staff_name, opening_float_cents }
+app.post('/api/shifts', async (req, res) => {
+  const staff_name = (req.body.staff_name || '').trim();
+  const opening_float_cents = parseInt(req.body.opening_float_cents || 0, 10);
+  if (!staff_name) return res.status(400).json({ error: 'staff_name is required' });
+  if (!(opening_float_cents >= 0)) return res.status(400).json({ error: 'The opening float cannot be negative.' });
   try {
+    const current = await openShift();
+    if (current) return res.status(409).json({ error: 'Another shift is still open; close it first.' });
     const result = await runAsync(
-      'INSERT INTO memberships (player_id, plan_id, start_date, end_date, status) VALUES (?,?,?,?,?)',
-      [player_id, plan_id, start_date, end_date, status || 'active']
-    );
-    const row = await getAsync(
-      `SELECT m.id, m.player_id, p.name AS player_name, m.plan_id, mp.name AS plan_name, m.start_date, m.end_date, m.status
-       FROM memberships m
-       JOIN players p ON p.id = m.player_id
-       JOIN membership_plans mp ON mp.id = m.plan_id
-       WHERE m.id = ?`,
-      [result.lastID]
+      'INSERT INTO cash_shifts (staff_name, opening_float_cents, opened_at) VALUES (?,?,?)',
+      [staff_name, opening_float_cents, formatDateTime(new Date())]
     );
-    res.status(201).json(row);
+    res.status(201).json(await loadShift(result.lastID));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.patch('/api/memberships/:id', async (req, res) => {
+app.get('/api/shifts/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const fields = req.body;
-  const setClauses = [];
-  const values = [];
-  for (const key of Object.keys(fields)) {
-    setClauses.push(`${key} = ?`);
-    values.push(fields[key]);
-  }
-  values.push(id);
   try {
-    await runAsync(`UPDATE memberships SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    const row = await getAsync(
-      `SELECT m.id, m.player_id, p.name AS player_name, m.plan_id, mp.name AS plan_name, m.start_date, m.end_date, m.status
-       FROM memberships m
-       JOIN players p ON p.id = m.player_id
-       JOIN membership_plans mp ON mp.id = m.plan_id
-       WHERE m.id = ?`,
+    const shift = await loadShift(id);
+    const payments = await allAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, pay.related_payment_id, pay.provider, pay.checkout_ref, pay.expires_at, pay.shift_id, pay.promo_code_id, pay.discount_cents, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.shift_id = ?
+       ORDER BY pay.id`,
       [id]
     );
-    res.json(row);
+    res.json({ ...shift, payment_list: payments });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.delete('/api/memberships/:id', async (req, res) => {
+// Close a shift with the cash counted in the drawer: { counted_cash_cents, note }. The
+// expected amount is fixed at closing, so later changes to its payments do not move it.
+app.post('/api/shifts/:id/close', async (req, res) => {
   const id = parseInt(req.params.id, 10);
+  const counted_cash_cents = parseInt(req.body.counted_cash_cents, 10);
+  if (!(counted_cash_cents >= 0)) return res.status(400).json({ error: 'Enter the cash counted in the drawer.' });
   try {
-    await runAsync('DELETE FROM memberships WHERE id = ?', [id]);
-    res.json({ ok: true });
+    const shift = await loadShift(id);
+    if (shift.closed_at) return res.status(409).json({ error: 'Shift is already closed' });
+    await runAsync(
+      'UPDATE cash_shifts SET closed_at = ?, expected_cash_cents = ?, counted_cash_cents = ?, note = ? WHERE id = ?',
+      [formatDateTime(new Date()), shift.expected_cash_cents, counted_cash_cents, req.body.note || null, id]
+    );
+    res.json(await loadShift(id));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// Payments
-app.get('/api/payments', async (req, res) => {
-  try {
-    const rows = await allAsync(
-      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.created_at
-       FROM payments pay
-       JOIN players p ON p.id = pay.player_id
-       ORDER BY pay.created_at DESC`);
-    res.json(rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Player ledger
+
+// A player's account: one invoice for everything billed to them against the money they paid
+// and got back. The running balance is what they owe (negative when the club owes them).
+const CLUB = {
+  name: process.env.CLUB_NAME || 'CLB Pickleball',
+  address: process.env.CLUB_ADDRESS || '',
+  phone: process.env.CLUB_PHONE || ''
+};
+const SETTLED_STATUSES = ['cancelled', 'no_show'];
+
+function formatVnd(amount) {
+  return new Intl.NumberFormat('vi-VN', { style: 'currency', currency: 'VND' }).format(amount || 0);
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Money a player's payments against one source leave with the club: charges taken and fees
+// (owed or taken), less refunds (owed or paid). A charge marked refunded without refund rows
+// counts as returned.
+function keptCents(payments) {
+  return payments.reduce((sum, p) => {
+    if (p.status === 'failed') return sum;
+    if (p.kind === 'refund' || p.kind === 'fee') return sum + p.amount_cents;
+    if (['succeeded', 'partial'].includes(p.status)) return sum + p.amount_cents;
+    if (p.status === 'refunded' && payments.some((r) => r.related_payment_id === p.id)) return sum + p.amount_cents;
+    return sum;
+  }, 0);
+}
+
+// What each source has billed the player. Live sources bill what they cost (a booking the
+// players split bills each their share, the booker the rest); cancelled and no-show ones only
+// what the club keeps. Waived sources and bookings paid from credits bill nothing. Payments
+// against anything else are billed as they are.
+async function playerCharges(player_id) {
+  const payments = await allAsync(
+    `SELECT id, player_id, amount_cents, source_type, source_id, method, status, kind, related_payment_id, created_at
+     FROM payments WHERE player_id = ? ORDER BY id`,
+    [player_id]
+  );
+  const claimed = new Set();
+  const paymentsFor = (source_type, source_id) => payments.filter((p) => {
+    if (p.source_type !== source_type || p.source_id !== source_id) return false;
+    claimed.add(p.id);
+    return true;
+  });
+  const charges = [];
+  const add = (source_type, source_id, description, date, amount_cents) => {
+    charges.push({ source_type, source_id, description, date, amount_cents });
+  };
+
+  const reservations = await allAsync(
+    `SELECT r.id, r.player_id, r.status, r.payment_status, r.price_cents, r.start_time, r.created_at, c.name AS court_name,
+            (SELECT COALESCE(SUM(o.amount_cents), 0) FROM payments o
+             WHERE o.source_type = 'reservation' AND o.source_id = r.id AND o.player_id != r.player_id
+               AND o.kind = 'charge' AND o.status != 'failed') AS others_cents,
+            EXISTS (SELECT 1 FROM credit_transactions t WHERE t.reservation_id = r.id) AS paid_with_credits,
+            (SELECT COALESCE(SUM(pr.discount_cents), 0) FROM promo_redemptions pr WHERE pr.source_type = 'reservation' AND pr.source_id = r.id) AS discount_cents
+     FROM reservations r
+     JOIN courts c ON c.id = r.court_id
+     WHERE r.player_id = ? OR r.id IN (SELECT source_id FROM payments WHERE source_type = 'reservation' AND player_id = ?)`,
+    [player_id, player_id]
+  );
+  for (const r of reservations) {
+    const own = paymentsFor('reservation', r.id);
+    let amount = 0;
+    if (r.paid_with_credits || r.payment_status === 'waived') amount = 0;
+    else if (SETTLED_STATUSES.includes(r.status)) amount = keptCents(own);
+    else if (r.player_id === player_id) amount = Math.max(0, (r.price_cents || 0) - r.discount_cents) - r.others_cents;
+    else amount = own.filter((p) => p.kind === 'charge' && p.status !== 'failed').reduce((sum, p) => sum + p.amount_cents, 0);
+    add('reservation', r.id, `Đặt sân ${r.court_name} ${r.start_time}`, r.created_at, amount);
   }
-});
 
-app.post('/api/payments', async (req, res) => {
-  const { player_id, amount_cents, currency, source_type, source_id, method, status } = req.body;
-  try {
-    const result = await runAsync(
-      'INSERT INTO payments (player_id, amount_cents, currency, source_type, source_id, method, status) VALUES (?,?,?,?,?,?,?)',
-      [player_id, amount_cents, currency || 'VND', source_type, source_id, method, status || 'pending']
-    );
-    // If payment relates to a reservation and succeeded, update reservation payment_status
-    if (source_type === 'reservation' && source_id) {
-      // If no status provided or status is not provided, treat pending; but if status is 'succeeded' then update
-      const payStatus = status || 'pending';
-      if (payStatus === 'succeeded' || payStatus === 'paid') {
-        await runAsync('UPDATE reservations SET payment_status = "paid" WHERE id = ?', [source_id]);
+  const registrations = await allAsync(
+    `SELECT e.id, e.name, e.fee_cents, reg.status, reg.payment_status, reg.registered_at,
+            (SELECT COALESCE(SUM(pr.discount_cents), 0) FROM promo_redemptions pr WHERE pr.source_type = 'event' AND pr.source_id = e.id AND pr.player_id = reg.player_id) AS discount_cents
+     FROM events e
+     JOIN event_registrations reg ON reg.id = (
+       SELECT l.id FROM event_registrations l WHERE l.event_id = e.id AND l.player_id = ?
+       ORDER BY l.status IN ('cancelled','no_show'), l.id DESC LIMIT 1
+     )`,
+    [player_id]
+  );
+  for (const reg of registrations) {
+    const own = paymentsFor('event', reg.id);
+    let amount = 0;
+    if (reg.payment_status === 'waived') amount = 0;
+    else if (['registered', 'attended'].includes(reg.status)) amount = Math.max(0, (reg.fee_cents || 0) - reg.discount_cents);
+    // waitlisted players hold no place yet: only what they paid up front
+    else amount = keptCents(own);
+    add('event', reg.id, `Phí sự kiện ${reg.name}`, reg.registered_at, amount);
+  }
+
+  const memberships = await allAsync(
+    `SELECT m.id, m.status, m.payment_status, m.start_date, m.end_date, m.created_at, mp.name AS plan_name,
+            COALESCE(m.price_cents, mp.price_cents) + m.carried_cents AS due_cents
+     FROM memberships m
+     JOIN membership_plans mp ON mp.id = m.plan_id
+     WHERE m.player_id = ?`,
+    [player_id]
+  );
+  for (const m of memberships) {
+    const own = paymentsFor('membership', m.id);
+    let amount = 0;
+    if (m.payment_status === 'waived') amount = 0;
+    else if (m.status === 'cancelled') amount = keptCents(own);
+    else amount = m.due_cents;
+    add('membership', m.id, `Thẻ hội viên ${m.plan_name} ${m.start_date} - ${m.end_date}`, m.created_at, amount);
+  }
+
+  const lots = await allAsync(
+    `SELECT pc.id, pc.unit, pc.quantity, pc.price_cents, pc.payment_status, pc.purchased_at, cp.name AS package_name
+     FROM player_credits pc
+     LEFT JOIN credit_packages cp ON cp.id = pc.package_id
+     WHERE pc.player_id = ?`,
+    [player_id]
+  );
+  for (const lot of lots) {
+    paymentsFor('credit_package', lot.id);
+    add('credit_package', lot.id, `Gói ${lot.package_name || lot.quantity + ' ' + lot.unit}`, lot.purchased_at, lot.payment_status === 'waived' ? 0 : lot.price_cents || 0);
+  }
+
+  // loose payments (no source, or one the ledger does not know): each is billed on its own
+  for (const p of payments) {
+    if (claimed.has(p.id) || p.kind === 'refund') continue;
+    const own = payments.filter((r) => r.id === p.id || (r.kind === 'refund' && r.related_payment_id === p.id));
+    own.forEach((r) => claimed.add(r.id));
+    const amount = p.status === 'pending' ? p.amount_cents : keptCents(own);
+    add('payment', p.id, p.source_type ? `${p.source_type} #${p.source_id}` : 'Khoản thu khác', p.created_at, amount);
+  }
+  return { charges, payments };
+}
+
+// Invoices of a player with what has been adjusted on each since it was issued
+async function loadInvoices(player_id) {
+  const invoices = await allAsync(
+    'SELECT id, number, source_type, source_id, description, amount_cents, issued_at FROM invoices WHERE player_id = ? ORDER BY id',
+    [player_id]
+  );
+  const adjustments = await allAsync(
+    `SELECT a.id, a.invoice_id, a.description, a.amount_cents, a.created_at
+     FROM invoice_adjustments a
+     JOIN invoices i ON i.id = a.invoice_id
+     WHERE i.player_id = ?
+     ORDER BY a.id`,
+    [player_id]
+  );
+  return invoices.map((inv) => {
+    const own = adjustments.filter((a) => a.invoice_id === inv.id);
+    const adjusted_cents = own.reduce((sum, a) => sum + a.amount_cents, 0);
+    return { ...inv, adjustments: own, adjusted_cents, total_cents: inv.amount_cents + adjusted_cents };
+  });
+}
+
+// Give every new charge its invoice, numbering them in date order. An invoice is never
+// rewritten once issued: when what a source bills changes (or the source is gone), the
+// difference is added to its invoice as an adjustment line.
+async function issueInvoices(player_id, charges) {
+  const existing = await loadInvoices(player_id);
+  const key = (c) => `${c.source_type}:${c.source_id}`;
+  const byKey = new Map(existing.map((inv) => [key(inv), inv]));
+  const adjust = (invoice, amount_cents, description) => runAsync(
+    'INSERT INTO invoice_adjustments (invoice_id, description, amount_cents) VALUES (?,?,?)',
+    [invoice.id, description, amount_cents]
+  );
+  for (const charge of [...charges].sort((a, b) => (a.date || '').localeCompare(b.date || ''))) {
+    const invoice = byKey.get(key(charge));
+    if (!invoice) {
+      if (!charge.amount_cents) continue;
+      const result = await runAsync(
+        'INSERT OR IGNORE INTO invoices (player_id, source_type, source_id, description, amount_cents, issued_at) VALUES (?,?,?,?,?,?)',
+        [player_id, charge.source_type, charge.source_id, charge.description, charge.amount_cents, charge.date]
+      );
+      if (result.changes) {
+        await runAsync('UPDATE invoices SET number = ? WHERE id = ?', ['HD' + String(result.lastID).padStart(6, '0'), result.lastID]);
       }
+    } else if (invoice.total_cents !== charge.amount_cents) {
+      await adjust(invoice, charge.amount_cents - invoice.total_cents, `Điều chỉnh: ${charge.description}`);
     }
-    const row = await getAsync(
-      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.created_at
-       FROM payments pay
-       JOIN players p ON p.id = pay.player_id
-       WHERE pay.id = ?`,
-      [result.lastID]
-    );
-    res.status(201).json(row);
+  }
+  for (const invoice of existing) {
+    if (invoice.total_cents && !charges.some((c) => key(c) === key(invoice))) {
+      await adjust(invoice, -invoice.total_cents, 'Điều chỉnh: khoản thu không còn');
+    }
+  }
+}
+
+// Runs still to finish per player. Two requests touching the same player's charges would
+// otherwise both see the invoice unadjusted and add the same adjustment line twice.
+const invoicing = new Map();
+
+function invoicePlayer(player_id) {
+  const run = (invoicing.get(player_id) || Promise.resolve()).then(async () => {
+    const { charges } = await playerCharges(player_id);
+    await issueInvoices(player_id, charges);
+  });
+  const tail = run.catch(() => {});
+  invoicing.set(player_id, tail);
+  tail.then(() => {
+    if (invoicing.get(player_id) === tail) invoicing.delete(player_id);
+  });
+  return run;
+}
+
+// Bring the invoices of these players up to date with what they are billed. Called by
+// everything that creates or changes a charge, so numbers follow the order charges arise.
+async function invoicePlayers(player_ids) {
+  for (const player_id of new Set(player_ids.filter(Boolean).map(Number))) {
+    await invoicePlayer(player_id);
+  }
+}
+
+// Players a source bills: whoever holds it, whoever made payments against it and player_id.
+// An event fee is billed per player, so player_id narrows an event to that one player.
+async function sourcePlayerIds({ source_type, source_id, player_id }) {
+  if (!source_id || (source_type === 'event' && player_id)) return [player_id];
+  const holders = {
+    reservation: 'SELECT player_id FROM reservations WHERE id = ?',
+    event: 'SELECT player_id FROM event_registrations WHERE event_id = ?',
+    membership: 'SELECT player_id FROM memberships WHERE id = ?',
+    credit_package: 'SELECT player_id FROM player_credits WHERE id = ?'
+  };
+  const rows = holders[source_type] ? await allAsync(holders[source_type], [source_id]) : [];
+  const payers = await allAsync('SELECT DISTINCT player_id FROM payments WHERE source_type = ? AND source_id = ?', [source_type, source_id]);
+  return [player_id, ...[...rows, ...payers].map((r) => r.player_id)];
+}
+
+async function invoiceSource(source) {
+  await invoicePlayers(await sourcePlayerIds(source));
+}
+
+// Ledger lines oldest first: invoices and their adjustments add to the balance, payments take
+// from it and refunds paid out add back. Each payment line carries its receipt number.
+// Reading the ledger changes nothing; invoices are issued as charges arise.
+async function playerLedger(player_id) {
+  const payments = await allAsync(
+    `SELECT id, player_id, amount_cents, source_type, source_id, method, status, kind, related_payment_id, created_at
+     FROM payments WHERE player_id = ? ORDER BY id`,
+    [player_id]
+  );
+  const invoices = await loadInvoices(player_id);
+  const invoiceFor = (p) => invoices.find((inv) => inv.source_type === 'payment'
+    ? [p.id, p.related_payment_id].includes(inv.source_id)
+    : inv.source_type === p.source_type && inv.source_id === p.source_id);
+  const entries = [];
+  for (const inv of invoices) {
+    const line = { invoice_id: inv.id, invoice_number: inv.number, payment_id: null, receipt_number: null };
+    entries.push({ ...line, date: inv.issued_at, type: 'invoice', description: inv.description, amount_cents: inv.amount_cents });
+    for (const a of inv.adjustments) {
+      entries.push({ ...line, date: a.created_at, type: 'adjustment', description: a.description, amount_cents: a.amount_cents });
+    }
+  }
+  const paid = {};
+  for (const p of payments) {
+    const invoice = invoiceFor(p);
+    const line = {
+      date: p.created_at,
+      invoice_id: invoice ? invoice.id : null,
+      invoice_number: invoice ? invoice.number : null,
+      payment_id: p.id,
+      receipt_number: receiptNumber(p.id),
+      method: p.method
+    };
+    const lines = [];
+    if (p.kind !== 'refund' && ['succeeded', 'partial', 'refunded'].includes(p.status)) {
+      lines.push({ ...line, type: 'payment', description: p.kind === 'fee' ? 'Thanh toán phí huỷ' : 'Thanh toán', amount_cents: -p.amount_cents });
+    }
+    if (p.kind === 'refund' && p.status === 'succeeded') {
+      lines.push({ ...line, type: 'refund', description: 'Hoàn tiền', amount_cents: -p.amount_cents });
+    }
+    // marked refunded by hand, without refund rows behind it
+    if (p.kind !== 'refund' && p.status === 'refunded' && !payments.some((r) => r.related_payment_id === p.id)) {
+      lines.push({ ...line, type: 'refund', description: 'Hoàn tiền', amount_cents: p.amount_cents });
+    }
+    entries.push(...lines);
+    if (invoice) paid[invoice.id] = (paid[invoice.id] || 0) - lines.reduce((sum, l) => sum + l.amount_cents, 0);
+  }
+  const order = { invoice: 0, adjustment: 1, payment: 2, refund: 3 };
+  entries.sort((a, b) => (a.date || '').localeCompare(b.date || '') || order[a.type] - order[b.type]);
+  let balance = 0;
+  for (const entry of entries) {
+    balance += entry.amount_cents;
+    entry.balance_cents = balance;
+  }
+  return {
+    balance_cents: balance,
+    entries,
+    invoices: invoices.map((inv) => {
+      const paid_cents = paid[inv.id] || 0;
+      const status = !inv.total_cents ? 'void' : paid_cents >= inv.total_cents ? 'paid' : 'open';
+      return { ...inv, paid_cents, due_cents: Math.max(0, inv.total_cents - paid_cents), status };
+    })
+  };
+}
+
+// On start-up: invoice whatever was billed before the server last ran (or before invoicing
+// existed), so every player's ledger starts out complete
+async function issueAllInvoices() {
+  const players = await allAsync('SELECT id FROM players ORDER BY id');
+  await invoicePlayers(players.map((p) => p.id));
+}
+
+function receiptNumber(payment_id) {
+  return 'BL' + String(payment_id).padStart(6, '0');
+}
+
+// Statement for [from, to] (dates, both optional): the balance brought forward, the lines in
+// the period and the balance at its end, with every invoice of the player
+app.get('/api/players/:id/statement', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { from, to } = req.query;
+  try {
+    const player = await getAsync('SELECT id, name, phone, email FROM players WHERE id = ?', [id]);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+    const ledger = await playerLedger(id);
+    const day = (entry) => (entry.date || '').slice(0, 10);
+    const before = ledger.entries.filter((e) => from && day(e) < from);
+    const entries = ledger.entries.filter((e) => (!from || day(e) >= from) && (!to || day(e) <= to));
+    const opening_balance_cents = before.length ? before[before.length - 1].balance_cents : 0;
+    res.json({
+      club: CLUB,
+      player,
+      from: from || null,
+      to: to || null,
+      opening_balance_cents,
+      closing_balance_cents: entries.length ? entries[entries.length - 1].balance_cents : opening_balance_cents,
+      balance_cents: ledger.balance_cents,
+      entries,
+      invoices: ledger.invoices
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.patch('/api/payments/:id', async (req, res) => {
+// Printable receipt for money received (or, for a refund, paid back)
+app.get('/api/payments/:id/receipt', async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const fields = req.body;
-  const setClauses = [];
-  const values = [];
-  for (const key of Object.keys(fields)) {
-    setClauses.push(`${key} = ?`);
-    values.push(fields[key]);
-  }
-  values.push(id);
   try {
-    await runAsync(`UPDATE payments SET ${setClauses.join(', ')} WHERE id = ?`, values);
-    const row = await getAsync(
-      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.currency, pay.source_type, pay.source_id, pay.method, pay.status, pay.created_at
+    const payment = await getAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, p.phone, p.email, pay.amount_cents, pay.method, pay.status, pay.kind, pay.created_at
        FROM payments pay
        JOIN players p ON p.id = pay.player_id
        WHERE pay.id = ?`,
       [id]
     );
-    res.json(row);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-app.delete('/api/payments/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  try {
-    await runAsync('DELETE FROM payments WHERE id = ?', [id]);
-    res.json({ ok: true });
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    if (['pending', 'failed'].includes(payment.status)) {
+      return res.status(409).json({ error: 'No money has changed hands for this payment yet.' });
+    }
+    const ledger = await playerLedger(payment.player_id);
+    const line = ledger.entries.find((e) => e.payment_id === id) || {};
+    const invoice = ledger.invoices.find((inv) => inv.id === line.invoice_id);
+    const refund = payment.kind === 'refund';
+    const methods = { cash: 'Tiền mặt', card: 'Thẻ', bank: 'Chuyển khoản', qr: 'Chuyển khoản QR', wallet: 'Ví điện tử' };
+    const rows = [
+      ['Số biên lai', receiptNumber(payment.id)],
+      ['Ngày', payment.created_at],
+      ['Người chơi', payment.player_name],
+      ['Liên hệ', [payment.phone, payment.email].filter(Boolean).join(' · ')],
+      ['Nội dung', invoice ? `${invoice.description} (hoá đơn ${invoice.number})` : 'Khoản thu khác'],
+      ['Hình thức', methods[payment.method] || payment.method || ''],
+      [refund ? 'Số tiền hoàn' : 'Số tiền', formatVnd(Math.abs(payment.amount_cents))]
+    ];
+    if (invoice) rows.push(['Còn phải trả theo hoá đơn', formatVnd(invoice.due_cents)]);
+    if (payment.status === 'refunded') rows.push(['Ghi chú', 'Khoản này đã được hoàn lại']);
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<title>${refund ? 'Phiếu hoàn tiền' : 'Biên lai'} ${receiptNumber(payment.id)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 520px; margin: 24px auto; color: #111; }
+  header { text-align: center; border-bottom: 2px solid #111; padding-bottom: 8px; margin-bottom: 16px; }
+  header h1 { margin: 0; font-size: 20px; }
+  header div { font-size: 13px; color: #555; }
+  h2 { text-align: center; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 6px 4px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  td:first-child { color: #555; width: 40%; }
+  footer { margin-top: 24px; text-align: center; font-size: 12px; color: #555; }
+  @media print { button { display: none; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(CLUB.name)}</h1>
+  <div>${escapeHtml([CLUB.address, CLUB.phone].filter(Boolean).join(' · '))}</div>
+</header>
+<h2>${refund ? 'PHIẾU HOÀN TIỀN' : 'BIÊN LAI THU TIỀN'}</h2>
+<table>
+${rows.map(([label, value]) => `  <tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<footer>Cảm ơn quý khách!</footer>
+<p style="text-align:center"><button onclick="window.print()">In biên lai</button></p>
+</body>
+</html>`);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -806,15 +5174,39 @@ app.post('/api/messages', async (req, res) => {
 
 // Reports
 
-// Membership report: players with expiry and days to expiry
+// Membership report: each player's latest membership, its expiry and days to expiry
+// Household members are listed together, primary first, under household_id (the membership)
 app.get('/api/report/membership', async (req, res) => {
   try {
+    const day = today();
     const rows = await allAsync(
-      `SELECT p.id, p.name, p.email, p.status, p.expiry,
-              CASE WHEN p.expiry IS NULL THEN NULL ELSE (julianday(p.expiry) - julianday(date('now'))) END AS days_to_expire
+      `SELECT p.id, p.name, p.email, mp.name AS plan_name, m.start_date, m.end_date AS expiry,
+              CASE WHEN m.id IS NULL THEN 'none'
+                   WHEN EXISTS (SELECT 1 FROM memberships c
+                                WHERE (c.player_id = p.id OR c.id IN (SELECT membership_id FROM membership_members WHERE player_id = p.id))
+                                  AND c.status = 'active' AND ? BETWEEN c.start_date AND c.end_date) THEN 'active'
+                   ELSE 'expired' END AS status,
+              CASE WHEN m.id IS NULL THEN NULL ELSE (julianday(m.end_date) - julianday(?)) END AS days_to_expire,
+              CASE WHEN mp.max_members > 1 THEN m.id END AS household_id,
+              CASE WHEN mp.max_members > 1 THEN pp.name END AS primary_name,
+              CASE WHEN m.id IS NULL OR mp.max_members <= 1 THEN NULL
+                   WHEN m.player_id = p.id THEN 'primary' ELSE 'dependent' END AS role
        FROM players p
-       ORDER BY p.name`
+       LEFT JOIN memberships m ON m.id = (
+         SELECT l.id FROM memberships l
+         WHERE (l.player_id = p.id OR l.id IN (SELECT membership_id FROM membership_members WHERE player_id = p.id))
+           AND l.status != 'cancelled'
+         ORDER BY l.end_date DESC LIMIT 1
+       )
+       LEFT JOIN membership_plans mp ON mp.id = m.plan_id
+       LEFT JOIN players pp ON pp.id = m.player_id
+       ORDER BY p.name`,
+      [day, day]
     );
+    const groupName = (r) => r.primary_name || r.name;
+    rows.sort((a, b) => groupName(a).localeCompare(groupName(b))
+      || (a.household_id || 0) - (b.household_id || 0)
+      || (a.role === 'primary' ? -1 : b.role === 'primary' ? 1 : a.name.localeCompare(b.name)));
     res.json(rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -830,7 +5222,7 @@ app.get('/api/report/reservations-usage', async (req, res) => {
               COUNT(*) AS reservations_count
        FROM reservations r
        JOIN courts c ON c.id = r.court_id
-       WHERE r.status IN ('booked','completed')
+       WHERE r.status = 'completed'
        GROUP BY r.court_id, date(r.start_time)
        ORDER BY date(r.start_time) DESC`
     );
@@ -843,12 +5235,14 @@ app.get('/api/report/reservations-usage', async (req, res) => {
 // Revenue report: monthly totals
 app.get('/api/report/revenue', async (req, res) => {
   try {
+    // refunded payments still count here: their refunds are separate negative rows
     const rows = await allAsync(
       `SELECT substr(created_at,1,7) AS month,
-              SUM(CASE WHEN status IN ('succeeded','partial') THEN amount_cents ELSE 0 END) AS total_cents,
-              SUM(CASE WHEN source_type='membership' AND status IN ('succeeded','partial') THEN amount_cents ELSE 0 END) AS membership_cents,
-              SUM(CASE WHEN source_type='reservation' AND status IN ('succeeded','partial') THEN amount_cents ELSE 0 END) AS court_cents,
-              SUM(CASE WHEN source_type='event' AND status IN ('succeeded','partial') THEN amount_cents ELSE 0 END) AS event_cents
+              SUM(CASE WHEN status IN ('succeeded','partial','refunded') THEN amount_cents ELSE 0 END) AS total_cents,
+              SUM(CASE WHEN source_type='membership' AND status IN ('succeeded','partial','refunded') THEN amount_cents ELSE 0 END) AS membership_cents,
+              SUM(CASE WHEN source_type='reservation' AND status IN ('succeeded','partial','refunded') THEN amount_cents ELSE 0 END) AS court_cents,
+              SUM(CASE WHEN source_type='event' AND status IN ('succeeded','partial','refunded') THEN amount_cents ELSE 0 END) AS event_cents,
+              SUM(CASE WHEN source_type='credit_package' AND status IN ('succeeded','partial','refunded') THEN amount_cents ELSE 0 END) AS credit_cents
        FROM payments
        GROUP BY substr(created_at,1,7)
        ORDER BY month DESC`
@@ -859,6 +5253,171 @@ app.get('/api/report/revenue', async (req, res) => {
   }
 });
 
+// Sources whose payment_status disagrees with their payments, and payments that do not add up:
+//   status_mismatch  stored payment_status differs from the one the payments give
+//   overpaid         more money kept than the source is owed
+//   over_refunded    refunds of a payment exceed what it took in
+//   unlinked_refund  a refund not tied to an existing payment
+//   orphan_payment   a payment against a source that no longer exists
+// A live source marked waived without any payments is a deliberate waiver, not a mismatch.
+app.get('/api/report/payment-reconciliation', async (req, res) => {
+  try {
+    const sources = [
+      ...(await allAsync("SELECT 'reservation' AS source_type, id AS source_id, NULL AS player_id FROM reservations")),
+      ...(await allAsync("SELECT DISTINCT 'event' AS source_type, event_id AS source_id, player_id FROM event_registrations")),
+      ...(await allAsync("SELECT 'membership' AS source_type, id AS source_id, NULL AS player_id FROM memberships")),
+      ...(await allAsync("SELECT 'credit_package' AS source_type, id AS source_id, NULL AS player_id FROM player_credits"))
+    ];
+    const issues = [];
+    for (const source of sources) {
+      const account = await sourceAccount(source);
+      if (!account) continue;
+      const issue = {
+        ...source,
+        stored_status: account.stored_status,
+        derived_status: account.status,
+        due_cents: account.due_cents,
+        net_cents: account.net_cents,
+        refunded_cents: account.refunded_cents
+      };
+      const waived = account.stored_status === 'waived' && account.net_cents === 0 && account.refunds === 0;
+      if (account.stored_status !== account.status && !waived) issues.push({ ...issue, type: 'status_mismatch' });
+      if (!account.cancelled && !account.paid_with_credits && account.net_cents > account.due_cents) issues.push({ ...issue, type: 'overpaid' });
+    }
+    const overRefunded = await allAsync(
+      `SELECT pay.id AS payment_id, pay.source_type, pay.source_id, pay.player_id, pay.amount_cents, -SUM(r.amount_cents) AS refunded_cents
+       FROM payments pay
+       JOIN payments r ON r.related_payment_id = pay.id AND r.kind = 'refund' AND r.status != 'failed'
+       GROUP BY pay.id
+       HAVING -SUM(r.amount_cents) > pay.amount_cents`
+    );
+    issues.push(...overRefunded.map((row) => ({ ...row, type: 'over_refunded' })));
+    const unlinked = await allAsync(
+      `SELECT r.id AS payment_id, r.source_type, r.source_id, r.player_id, r.amount_cents
+       FROM payments r
+       LEFT JOIN payments pay ON pay.id = r.related_payment_id
+       WHERE r.kind = 'refund' AND pay.id IS NULL`
+    );
+    issues.push(...unlinked.map((row) => ({ ...row, type: 'unlinked_refund' })));
+    const payments = await allAsync(
+      `SELECT id AS payment_id, source_type, source_id, player_id, amount_cents FROM payments
+       WHERE source_type IN ('reservation','event','membership','credit_package') AND source_id IS NOT NULL`
+    );
+    for (const payment of payments) {
+      if (!(await sourceAccount(payment))) issues.push({ ...payment, type: 'orphan_payment' });
+    }
+    res.json({ checked_sources: sources.length, checked_payments: payments.length, issues });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cash drawer close-out per day and staff member over ?from=&to= (default today): shifts,
+// totals by method, expected vs counted cash and the variance, plus the money moved that day
+// while no shift was open.
+app.get('/api/report/shift-closeout', async (req, res) => {
+  const from = req.query.from || today();
+  const to = req.query.to || from;
+  try {
+    const shifts = await allAsync(
+      `SELECT id, staff_name, opening_float_cents, opened_at, closed_at, expected_cash_cents, counted_cash_cents, note FROM cash_shifts
+       WHERE substr(opened_at,1,10) BETWEEN ? AND ?
+       ORDER BY opened_at`,
+      [from, to]
+    );
+    const days = new Map();
+    const dayOf = (date) => {
+      if (!days.has(date)) days.set(date, { date, staff: new Map(), outside_shift: [] });
+      return days.get(date);
+    };
+    for (const shift of await Promise.all(shifts.map(shiftSummary))) {
+      const day = dayOf(shift.opened_at.slice(0, 10));
+      if (!day.staff.has(shift.staff_name)) {
+        day.staff.set(shift.staff_name, { staff_name: shift.staff_name, shifts: [], open_shifts: 0, by_method: {}, opening_float_cents: 0, expected_cash_cents: 0, counted_cash_cents: 0, variance_cents: 0 });
+      }
+      const staff = day.staff.get(shift.staff_name);
+      staff.shifts.push(shift);
+      for (const [method, cents] of Object.entries(shift.by_method)) staff.by_method[method] = (staff.by_method[method] || 0) + cents;
+      staff.opening_float_cents += shift.opening_float_cents;
+      // open shifts have nothing counted yet, so they stay out of the variance
+      if (shift.status === 'open') {
+        staff.open_shifts += 1;
+        continue;
+      }
+      staff.expected_cash_cents += shift.expected_cash_cents;
+      staff.counted_cash_cents += shift.counted_cash_cents;
+      staff.variance_cents += shift.variance_cents;
+    }
+    const outside = await allAsync(
+      `SELECT pay.id, pay.player_id, p.name AS player_name, pay.amount_cents, pay.source_type, pay.source_id, pay.method, pay.status, pay.kind, date(pay.created_at, 'localtime') AS date, pay.created_at
+       FROM payments pay
+       JOIN players p ON p.id = pay.player_id
+       WHERE pay.shift_id IS NULL AND pay.status IN (${MONEY_MOVED_STATUSES.map(() => '?').join(',')})
+         AND date(pay.created_at, 'localtime') BETWEEN ? AND ?
+       ORDER BY pay.id`,
+      [...MONEY_MOVED_STATUSES, from, to]
+    );
+    for (const payment of outside) dayOf(payment.date).outside_shift.push(payment);
+    res.json({
+      from,
+      to,
+      days: [...days.values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((day) => ({ ...day, staff: [...day.staff.values()] }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Promo code redemptions over ?from=&to= (dates, both optional), optionally for one ?code=:
+// each use with its player, source and discount, and totals per code
+app.get('/api/report/promo-redemptions', async (req, res) => {
+  const { from, to, code } = req.query;
+  try {
+    const conditions = [];
+    const params = [];
+    if (from) {
+      conditions.push("date(pr.redeemed_at, 'localtime') >= ?");
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("date(pr.redeemed_at, 'localtime') <= ?");
+      params.push(to);
+    }
+    if (code) {
+      conditions.push('pc.code = ?');
+      params.push(String(code).trim().toUpperCase());
+    }
+    const redemptions = await allAsync(
+      `SELECT pr.id, pc.code, pr.player_id, p.name AS player_name, pr.source_type, pr.source_id, pr.original_cents, pr.discount_cents,
+              pr.payment_id, pay.status AS payment_status, pr.redeemed_at
+       FROM promo_redemptions pr
+       JOIN promo_codes pc ON pc.id = pr.promo_code_id
+       JOIN players p ON p.id = pr.player_id
+       LEFT JOIN payments pay ON pay.id = pr.payment_id
+       ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY pr.redeemed_at DESC, pr.id DESC`,
+      params
+    );
+    const codes = new Map();
+    for (const r of redemptions) {
+      if (!codes.has(r.code)) codes.set(r.code, { code: r.code, uses: 0, players: new Set(), original_cents: 0, discount_cents: 0 });
+      const total = codes.get(r.code);
+      total.uses += 1;
+      total.players.add(r.player_id);
+      total.original_cents += r.original_cents;
+      total.discount_cents += r.discount_cents;
+    }
+    res.json({
+      codes: [...codes.values()].map((c) => ({ ...c, players: c.players.size })),
+      redemptions
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Events calendar with counts
 app.get('/api/report/events-calendar', async (req, res) => {
   try {
@@ -910,7 +5469,7 @@ app.get('/api/report/schedule', async (req, res) => {
       [start, end]
     );
     const wait = await allAsync(
-      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status
+      `SELECT w.id, w.court_id, c.name AS court_name, w.player_id, p.name AS player_name, w.start_time, w.end_time, w.priority, w.status, w.claim_expires_at
        FROM waitlist w
        JOIN courts c ON c.id = w.court_id
        JOIN players p ON p.id = w.player_id
@@ -930,6 +5489,24 @@ app.get('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 3000;
+// Background jobs (lapsed waitlist offers, finished reservations, lapsed checkouts) run
+// every minute
+const SWEEP_MS = 60 * 1000;
+// Memberships and prepaid credits start and expire by the day
+const MEMBERSHIP_SWEEP_MS = 24 * 60 * 60 * 1000;
+
 app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
+  setInterval(() => {
+    expireWaitlistClaims().catch((err) => console.error('Waitlist sweep failed:', err.message));
+    closeFinishedReservations().catch((err) => console.error('Reservation sweep failed:', err.message));
+    expireCheckouts().catch((err) => console.error('Checkout sweep failed:', err.message));
+  }, SWEEP_MS);
+  issueAllInvoices().catch((err) => console.error('Invoicing failed:', err.message));
+  const sweepMemberships = () => {
+    runMembershipLifecycle().catch((err) => console.error('Membership sweep failed:', err.message));
+    expirePlayerCredits().catch((err) => console.error('Credit sweep failed:', err.message));
+  };
+  sweepMemberships();
+  setInterval(sweepMemberships, MEMBERSHIP_SWEEP_MS);
 });
\ No newline at end of file
@@ -19,14 +19,38 @@ async function init() {
   const dropQueries = [
     'DROP TABLE IF EXISTS reservation_players;',
     'DROP TABLE IF EXISTS reservations;',
+    'DROP TABLE IF EXISTS reservation_series;',
     'DROP TABLE IF EXISTS waitlist;',
+    'DROP TABLE IF EXISTS rating_history;',
+    'DROP TABLE IF EXISTS match_players;',
+    'DROP TABLE IF EXISTS matches;',
+    'DROP TABLE IF EXISTS open_play_slots;',
+    'DROP TABLE IF EXISTS open_play_games;',
+    'DROP TABLE IF EXISTS event_matches;',
     'DROP TABLE IF EXISTS event_registrations;',
+    'DROP TABLE IF EXISTS event_divisions;',
     'DROP TABLE IF EXISTS events;',
+    'DROP TABLE IF EXISTS membership_history;',
+    'DROP TABLE IF EXISTS membership_members;',
     'DROP TABLE IF EXISTS memberships;',
     'DROP TABLE IF EXISTS membership_plans;',
+    'DROP TABLE IF EXISTS invoice_adjustments;',
+    'DROP TABLE IF EXISTS invoices;',
+    'DROP TABLE IF EXISTS promo_redemptions;',
+    'DROP TABLE IF EXISTS payment_webhook_events;',
     'DROP TABLE IF EXISTS payments;',
+    'DROP TABLE IF EXISTS cash_shifts;',
+    'DROP TABLE IF EXISTS promo_codes;',
+    'DROP TABLE IF EXISTS credit_transactions;',
+    'DROP TABLE IF EXISTS player_credits;',
+    'DROP TABLE IF EXISTS credit_packages;',
+    'DROP TABLE IF EXISTS cancellation_policies;',
+    'DROP TABLE IF EXISTS booking_rules;',
     'DROP TABLE IF EXISTS notifications;',
     'DROP TABLE IF EXISTS messages;',
+    'DROP TABLE IF EXISTS court_price_bands;',
+    'DROP TABLE IF EXISTS court_hours;',
+    'DROP TABLE IF EXISTS court_closures;',
     'DROP TABLE IF EXISTS courts;',
     'DROP TABLE IF EXISTS players;'
   ];
@@ -43,6 +67,8 @@ async function init() {
       email TEXT,
       status TEXT CHECK (status IN ('active','expired','none')) DEFAULT 'none',
       expiry TEXT,
+      no_show_count INTEGER DEFAULT 0,
+      rating INTEGER DEFAULT 1000,
       created_at TEXT DEFAULT (datetime('now'))
     );
   `);
@@ -55,7 +81,67 @@ async function init() {
       surface TEXT,
       indoor INTEGER DEFAULT 0,
       lights INTEGER DEFAULT 0,
-      is_active INTEGER DEFAULT 1
+      is_active INTEGER DEFAULT 1,
+      base_rate_cents INTEGER DEFAULT 0,
+      lights_surcharge_cents INTEGER DEFAULT 0,
+      indoor_surcharge_cents INTEGER DEFAULT 0,
+      member_discount_percent INTEGER DEFAULT 0,
+      -- only players with an active membership may book
+      members_only INTEGER DEFAULT 0
+    );
+  `);
+
+  // Club-wide booking limits (a single row); a NULL limit is not enforced
+  await run(`
+    CREATE TABLE IF NOT EXISTS booking_rules (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      advance_days INTEGER,
+      member_advance_days INTEGER,
+      max_weekly_hours INTEGER,
+      min_duration_minutes INTEGER,
+      max_duration_minutes INTEGER,
+      -- players with this many no-shows cannot book until their count is reset
+      max_no_shows INTEGER
+    );
+  `);
+
+  // Weekly opening hours (weekday 0 = Sunday); open_time NULL means closed all day.
+  // Courts without rows use the club's default hours.
+  await run(`
+    CREATE TABLE IF NOT EXISTS court_hours (
+      court_id INTEGER NOT NULL,
+      weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+      open_time TEXT,
+      close_time TEXT,
+      PRIMARY KEY (court_id, weekday),
+      FOREIGN KEY (court_id) REFERENCES courts(id) ON DELETE CASCADE
+    );
+  `);
+
+  // Dated closures (maintenance, holidays); court_id NULL closes every court
+  await run(`
+    CREATE TABLE IF NOT EXISTS court_closures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      court_id INTEGER,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      reason TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (court_id) REFERENCES courts(id) ON DELETE CASCADE
+    );
+  `);
+
+  // Hourly rates by weekday and time of day; court_id NULL applies to every court
+  await run(`
+    CREATE TABLE IF NOT EXISTS court_price_bands (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      court_id INTEGER,
+      label TEXT,
+      weekdays TEXT NOT NULL DEFAULT '0,1,2,3,4,5,6',
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      rate_cents INTEGER NOT NULL,
+      FOREIGN KEY (court_id) REFERENCES courts(id) ON DELETE CASCADE
     );
   `);
 
@@ -66,8 +152,29 @@ async function init() {
       player_id INTEGER NOT NULL,
       start_time TEXT NOT NULL,
       end_time TEXT NOT NULL,
-      status TEXT CHECK (status IN ('booked','cancelled','completed')) DEFAULT 'booked',
+      status TEXT CHECK (status IN ('booked','cancelled','completed','no_show')) DEFAULT 'booked',
       price_cents INTEGER DEFAULT 0,
+      payment_status TEXT DEFAULT 'unpaid',
+      series_id INTEGER,
+      checked_in_at TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (court_id) REFERENCES courts(id),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (series_id) REFERENCES reservation_series(id)
+    );
+  `);
+
+  // A recurring booking; each occurrence is a row in reservations sharing series_id
+  await run(`
+    CREATE TABLE IF NOT EXISTS reservation_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      court_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      frequency TEXT CHECK (frequency IN ('daily','weekly','biweekly')) NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      until_date TEXT,
+      occurrence_count INTEGER,
       created_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (court_id) REFERENCES courts(id),
       FOREIGN KEY (player_id) REFERENCES players(id)
@@ -94,6 +201,8 @@ async function init() {
       end_time TEXT NOT NULL,
       priority INTEGER DEFAULT 0,
       status TEXT CHECK (status IN ('waiting','notified','booked','cancelled','expired')) DEFAULT 'waiting',
+      notified_at TEXT,
+      claim_expires_at TEXT,
       created_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (court_id) REFERENCES courts(id),
       FOREIGN KEY (player_id) REFERENCES players(id)
@@ -111,31 +220,163 @@ async function init() {
       max_participants INTEGER,
       fee_cents INTEGER DEFAULT 0,
       status TEXT CHECK (status IN ('draft','open','full','closed','cancelled')) DEFAULT 'open',
+      bracket_format TEXT CHECK (bracket_format IN ('single_elimination','double_elimination','round_robin','pool_play')),
+      pool_count INTEGER,
+      play_format TEXT CHECK (play_format IN ('singles','doubles','mixed')) DEFAULT 'singles',
+      event_type TEXT CHECK (event_type IN ('tournament','open_play')) DEFAULT 'tournament',
       created_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (court_id) REFERENCES courts(id)
     );
   `);
 
+  // Skill divisions of an event, each with its own capacity (players in singles, teams in doubles)
+  // and an optional rating range
+  await run(`
+    CREATE TABLE IF NOT EXISTS event_divisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      capacity INTEGER,
+      min_rating INTEGER,
+      max_rating INTEGER,
+      sort_order INTEGER DEFAULT 0,
+      UNIQUE (event_id, name),
+      FOREIGN KEY (event_id) REFERENCES events(id)
+    );
+  `);
+
   await run(`
     CREATE TABLE IF NOT EXISTS event_registrations (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       event_id INTEGER NOT NULL,
       player_id INTEGER NOT NULL,
       registered_at TEXT DEFAULT (datetime('now')),
-      payment_status TEXT CHECK (payment_status IN ('unpaid','paid','refunded','waived')) DEFAULT 'unpaid',
+      payment_status TEXT CHECK (payment_status IN ('unpaid','partial','paid','refunded','waived')) DEFAULT 'unpaid',
       status TEXT CHECK (status IN ('registered','waitlisted','cancelled','attended','no_show')) DEFAULT 'registered',
+      seed INTEGER,
+      division_id INTEGER,
+      partner_id INTEGER,
+      looking_for_partner INTEGER DEFAULT 0,
       FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (division_id) REFERENCES event_divisions(id),
+      FOREIGN KEY (partner_id) REFERENCES players(id)
+    );
+  `);
+
+  // Tournament matches. Entries are registrations; next_match_id/next_slot say where the
+  // winner goes, loser_next_* where the loser drops to in double elimination.
+  await run(`
+    CREATE TABLE IF NOT EXISTS event_matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      stage TEXT NOT NULL CHECK (stage IN ('winners','losers','final','round_robin','pool','knockout')),
+      round INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      pool INTEGER,
+      entry1_id INTEGER,
+      entry2_id INTEGER,
+      winner_entry_id INTEGER,
+      score TEXT,
+      court_id INTEGER,
+      scheduled_time TEXT,
+      status TEXT CHECK (status IN ('pending','completed','bye')) DEFAULT 'pending',
+      next_match_id INTEGER,
+      next_slot INTEGER,
+      loser_next_match_id INTEGER,
+      loser_next_slot INTEGER,
+      FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (entry1_id) REFERENCES event_registrations(id),
+      FOREIGN KEY (entry2_id) REFERENCES event_registrations(id),
+      FOREIGN KEY (court_id) REFERENCES courts(id)
+    );
+  `);
+
+  // Open-play rounds: one game per court, and a slot per present player (game_id NULL = sitting out)
+  await run(`
+    CREATE TABLE IF NOT EXISTS open_play_games (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      round INTEGER NOT NULL,
+      court_id INTEGER,
+      score TEXT,
+      winner_team INTEGER CHECK (winner_team IN (1,2)),
+      status TEXT CHECK (status IN ('pending','completed')) DEFAULT 'pending',
+      FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (court_id) REFERENCES courts(id)
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS open_play_slots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      round INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      game_id INTEGER,
+      team INTEGER CHECK (team IN (1,2)),
+      FOREIGN KEY (event_id) REFERENCES events(id),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (game_id) REFERENCES open_play_games(id)
+    );
+  `);
+
+  // Played matches, entered directly or recorded from a tournament bracket (event_match_id).
+  // score is from team 1's point of view, e.g. '11-7, 9-11, 11-5'.
+  await run(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      played_at TEXT NOT NULL,
+      format TEXT NOT NULL CHECK (format IN ('singles','doubles')),
+      score TEXT NOT NULL,
+      winner_team INTEGER NOT NULL CHECK (winner_team IN (1,2)),
+      court_id INTEGER,
+      event_match_id INTEGER,
+      open_play_game_id INTEGER,
+      notes TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (court_id) REFERENCES courts(id),
+      FOREIGN KEY (event_match_id) REFERENCES event_matches(id),
+      FOREIGN KEY (open_play_game_id) REFERENCES open_play_games(id)
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS match_players (
+      match_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      team INTEGER NOT NULL CHECK (team IN (1,2)),
+      PRIMARY KEY (match_id, player_id),
+      FOREIGN KEY (match_id) REFERENCES matches(id),
       FOREIGN KEY (player_id) REFERENCES players(id)
     );
   `);
 
+  // Rating of each player before and after every match, rebuilt whenever results change
+  await run(`
+    CREATE TABLE IF NOT EXISTS rating_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL,
+      match_id INTEGER NOT NULL,
+      played_at TEXT NOT NULL,
+      rating_before INTEGER NOT NULL,
+      rating_after INTEGER NOT NULL,
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (match_id) REFERENCES matches(id)
+    );
+  `);
+
   await run(`
     CREATE TABLE IF NOT EXISTS membership_plans (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT,
       period_months INTEGER,
       price_cents INTEGER,
-      description TEXT
+      description TEXT,
+      -- days a membership on this plan may be frozen in total
+      max_freeze_days INTEGER DEFAULT 0,
+      -- people a membership covers, the primary payer included (household plans have more than one)
+      max_members INTEGER DEFAULT 1
     );
   `);
 
@@ -146,13 +387,131 @@ async function init() {
       plan_id INTEGER NOT NULL,
       start_date TEXT NOT NULL,
       end_date TEXT NOT NULL,
-      status TEXT CHECK (status IN ('active','expired','pending','cancelled')) DEFAULT 'active',
+      status TEXT CHECK (status IN ('active','expired','pending','frozen','cancelled')) DEFAULT 'active',
+      payment_status TEXT CHECK (payment_status IN ('unpaid','partial','paid','refunded','waived')) DEFAULT 'unpaid',
+      -- price of the current term (plan price when NULL) and value used up from earlier plans
+      price_cents INTEGER,
+      carried_cents INTEGER DEFAULT 0,
+      frozen_at TEXT,
+      freeze_days_used INTEGER DEFAULT 0,
       created_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (player_id) REFERENCES players(id),
       FOREIGN KEY (plan_id) REFERENCES membership_plans(id)
     );
   `);
 
+  // Dependents covered by a household membership; memberships.player_id is the primary
+  // payer, who is not listed here
+  await run(`
+    CREATE TABLE IF NOT EXISTS membership_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      membership_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      added_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (membership_id, player_id),
+      FOREIGN KEY (membership_id) REFERENCES memberships(id),
+      FOREIGN KEY (player_id) REFERENCES players(id)
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS membership_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      membership_id INTEGER NOT NULL,
+      action TEXT CHECK (action IN ('created','renewed','frozen','unfrozen','plan_changed','expired','cancelled','updated','member_added','member_removed')) NOT NULL,
+      plan_id INTEGER,
+      end_date TEXT,
+      amount_cents INTEGER,
+      days INTEGER,
+      note TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (membership_id) REFERENCES memberships(id),
+      FOREIGN KEY (plan_id) REFERENCES membership_plans(id)
+    );
+  `);
+
+  // Prepaid court hours or sessions. Each purchase is a lot with its own expiry; every
+  // purchase, use, return and expiry is a transaction (negative amounts spend credits).
+  await run(`
+    CREATE TABLE IF NOT EXISTS credit_packages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      unit TEXT CHECK (unit IN ('hours','sessions')) NOT NULL,
+      quantity REAL NOT NULL,
+      validity_days INTEGER NOT NULL,
+      price_cents INTEGER NOT NULL,
+      description TEXT
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS player_credits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL,
+      package_id INTEGER,
+      unit TEXT CHECK (unit IN ('hours','sessions')) NOT NULL,
+      quantity REAL NOT NULL,
+      remaining REAL NOT NULL,
+      price_cents INTEGER DEFAULT 0,
+      payment_status TEXT CHECK (payment_status IN ('unpaid','partial','paid','refunded','waived')) DEFAULT 'unpaid',
+      purchased_at TEXT DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (package_id) REFERENCES credit_packages(id)
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS credit_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL,
+      player_credit_id INTEGER NOT NULL,
+      kind TEXT CHECK (kind IN ('purchase','use','return','expire')) NOT NULL,
+      amount REAL NOT NULL,
+      reservation_id INTEGER,
+      note TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (player_credit_id) REFERENCES player_credits(id),
+      FOREIGN KEY (reservation_id) REFERENCES reservations(id)
+    );
+  `);
+
+  // Discount codes: a percentage (discount_value 1-100) or a fixed amount in cents off the
+  // price, valid between valid_from and valid_to (dates, inclusive; NULL is open-ended) for
+  // the source types in applies_to (a JSON array). NULL limits are not enforced.
+  await run(`
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      description TEXT,
+      discount_type TEXT NOT NULL CHECK (discount_type IN ('percent','fixed')),
+      discount_value INTEGER NOT NULL,
+      applies_to TEXT NOT NULL DEFAULT '["reservation","event","membership"]',
+      valid_from TEXT,
+      valid_to TEXT,
+      max_uses INTEGER,
+      max_uses_per_player INTEGER,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+
+  // Front-desk cash drawer shifts: one is open at a time. Closing records the counted cash
+  // next to what the drawer should hold (opening float plus cash taken, less cash refunded).
+  await run(`
+    CREATE TABLE IF NOT EXISTS cash_shifts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      staff_name TEXT NOT NULL,
+      opening_float_cents INTEGER NOT NULL DEFAULT 0,
+      opened_at TEXT NOT NULL,
+      closed_at TEXT,
+      expected_cash_cents INTEGER,
+      counted_cash_cents INTEGER,
+      note TEXT
+    );
+  `);
+
   await run(`
     CREATE TABLE IF NOT EXISTS payments (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -163,11 +522,102 @@ async function init() {
       source_id INTEGER,
       method TEXT,
       status TEXT CHECK (status IN ('pending','succeeded','failed','refunded','partial')) DEFAULT 'pending',
+      -- refunds carry a negative amount and point at the payment they return money from
+      kind TEXT CHECK (kind IN ('charge','refund','fee')) DEFAULT 'charge',
+      related_payment_id INTEGER,
+      -- online payments: the provider, its checkout reference and when an unpaid checkout fails
+      provider TEXT,
+      checkout_ref TEXT UNIQUE,
+      expires_at TEXT,
+      -- the front-desk shift that took the money in or paid it out
+      shift_id INTEGER,
+      -- the promo code discount taken off what this payment settles
+      promo_code_id INTEGER,
+      discount_cents INTEGER NOT NULL DEFAULT 0,
       created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (related_payment_id) REFERENCES payments(id),
+      FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+      FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id)
+    );
+  `);
+
+  // Each use of a promo code: the source it discounted (event fees per player), the price
+  // before the discount and the payment that recorded it once one was taken
+  await run(`
+    CREATE TABLE IF NOT EXISTS promo_redemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      promo_code_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      source_type TEXT NOT NULL CHECK (source_type IN ('reservation','event','membership')),
+      source_id INTEGER NOT NULL,
+      original_cents INTEGER NOT NULL,
+      discount_cents INTEGER NOT NULL,
+      payment_id INTEGER,
+      redeemed_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (payment_id) REFERENCES payments(id)
+    );
+  `);
+
+  // Every provider callback received, so a replayed event is only applied once
+  await run(`
+    CREATE TABLE IF NOT EXISTS payment_webhook_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      checkout_ref TEXT,
+      status TEXT,
+      result TEXT,
+      payload TEXT,
+      received_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (provider, event_id)
+    );
+  `);
+
+  // One invoice per thing billed to a player (a booking, an event fee, a membership, a credit
+  // package, or a loose charge as source_type 'payment'), issued when the charge arises.
+  // Numbers are handed out in the order invoices are issued; an issued invoice never changes.
+  await run(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      number TEXT UNIQUE,
+      player_id INTEGER NOT NULL,
+      source_type TEXT NOT NULL,
+      source_id INTEGER NOT NULL,
+      description TEXT,
+      amount_cents INTEGER NOT NULL DEFAULT 0,
+      issued_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (player_id, source_type, source_id),
       FOREIGN KEY (player_id) REFERENCES players(id)
     );
   `);
 
+  // Later changes to what an invoice's source bills (a re-priced booking, a cancellation
+  // fee, a plan change), recorded as lines on the invoice: positive adds, negative credits
+  await run(`
+    CREATE TABLE IF NOT EXISTS invoice_adjustments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_id INTEGER NOT NULL,
+      description TEXT,
+      amount_cents INTEGER NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id)
+    );
+  `);
+
+  // What a cancellation costs: free up to free_hours_before the start, then
+  // late_fee_percent of the price; no-shows are charged no_show_fee_percent
+  await run(`
+    CREATE TABLE IF NOT EXISTS cancellation_policies (
+      applies_to TEXT PRIMARY KEY CHECK (applies_to IN ('reservation','event')),
+      free_hours_before INTEGER NOT NULL DEFAULT 24,
+      late_fee_percent INTEGER NOT NULL DEFAULT 50,
+      no_show_fee_percent INTEGER NOT NULL DEFAULT 100
+    );
+  `);
+
   await run(`
     CREATE TABLE IF NOT EXISTS notifications (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -199,7 +649,7 @@ async function init() {
   // Seed some sample data
   const players = [
     ['Nguyen Van A', '0901002001', 'a@example.com', 'active', '2025-12-31'],
-    ['Tran Thi B',   '0901002002', 'b@example.com', 'expired', '2024-10-15'],
+    ['Tran Thi B',   '0901002002', 'b@example.com', 'expired', '2024-03-31'],
     ['Le Van C',     '0901002003', 'c@example.com', 'active', '2026-01-10'],
     ['Pham Thi D',   '0901002004', 'd@example.com', 'none', null],
     ['Hoang Van E',  '0901002005', 'e@example.com', 'active', '2025-07-20']
@@ -209,45 +659,103 @@ async function init() {
   }
 
   const courts = [
-    ['Court 1', 'Main hall', 'hard', 0, 1, 1],
-    ['Court 2', 'Outdoor', 'acrylic', 0, 0, 1],
-    ['Court 3', 'Indoor', 'wood', 1, 1, 1]
+    ['Court 1', 'Main hall', 'hard', 0, 1, 1, 100000, 20000, 0, 10],
+    ['Court 2', 'Outdoor', 'acrylic', 0, 0, 1, 80000, 0, 0, 10],
+    ['Court 3', 'Indoor', 'wood', 1, 1, 1, 100000, 20000, 30000, 10]
   ];
   for (const c of courts) {
-    await run('INSERT INTO courts (name, location, surface, indoor, lights, is_active) VALUES (?,?,?,?,?,?)', c);
+    await run('INSERT INTO courts (name, location, surface, indoor, lights, is_active, base_rate_cents, lights_surcharge_cents, indoor_surcharge_cents, member_discount_percent) VALUES (?,?,?,?,?,?,?,?,?,?)', c);
+  }
+
+  // Members may book a month ahead, everyone else two weeks
+  await run('INSERT INTO booking_rules (id, advance_days, member_advance_days, max_weekly_hours, min_duration_minutes, max_duration_minutes, max_no_shows) VALUES (1, 14, 30, 6, 60, 180, 3)');
+
+  // Court 2 is outdoor without lights, so it closes at 18:00
+  for (let weekday = 0; weekday < 7; weekday++) {
+    await run('INSERT INTO court_hours (court_id, weekday, open_time, close_time) VALUES (2, ?, "06:00", "18:00")', [weekday]);
+  }
+
+  const priceBands = [
+    [null, 'Giờ cao điểm', '1,2,3,4,5', '17:00', '21:00', 150000],
+    [null, 'Cuối tuần', '0,6', '07:00', '21:00', 130000]
+  ];
+  for (const b of priceBands) {
+    await run('INSERT INTO court_price_bands (court_id, label, weekdays, start_time, end_time, rate_cents) VALUES (?,?,?,?,?,?)', b);
   }
 
   const membershipPlans = [
-    ['Monthly', 1, 500000, 'One month membership'],
-    ['Quarterly', 3, 1200000, 'Three months membership'],
-    ['Annual', 12, 4000000, 'One year membership']
+    ['Monthly', 1, 500000, 'One month membership', 7, 1],
+    ['Quarterly', 3, 1200000, 'Three months membership', 21, 1],
+    ['Annual', 12, 4000000, 'One year membership', 60, 1],
+    ['Family', 12, 7000000, 'One year household membership for up to 4 people', 60, 4]
   ];
   for (const m of membershipPlans) {
-    await run('INSERT INTO membership_plans (name, period_months, price_cents, description) VALUES (?,?,?,?)', m);
+    await run('INSERT INTO membership_plans (name, period_months, price_cents, description, max_freeze_days, max_members) VALUES (?,?,?,?,?,?)', m);
   }
 
-  // Create some memberships: players 1 and 3 have active membership plan 1, players 2 expired
-  await run('INSERT INTO memberships (player_id, plan_id, start_date, end_date, status) VALUES (1, 1, "2025-01-01", "2025-12-31", "active")');
-  await run('INSERT INTO memberships (player_id, plan_id, start_date, end_date, status) VALUES (2, 2, "2024-01-01", "2024-03-31", "expired")');
+  // Create some memberships matching the players' status/expiry above (the server's daily
+  // membership job keeps those in sync from here on)
+  await run('INSERT INTO memberships (player_id, plan_id, start_date, end_date, status, payment_status) VALUES (1, 3, "2025-01-01", "2025-12-31", "active", "paid")');
+  await run('INSERT INTO memberships (player_id, plan_id, start_date, end_date, status, payment_status) VALUES (2, 2, "2024-01-01", "2024-03-31", "expired", "waived")');
+  await run('INSERT INTO memberships (player_id, plan_id, start_date, end_date, status, payment_status) VALUES (3, 3, "2025-01-11", "2026-01-10", "active", "waived")');
+  await run('INSERT INTO memberships (player_id, plan_id, start_date, end_date, status, payment_status) VALUES (5, 1, "2025-06-21", "2025-07-20", "active", "waived")');
+
+  const creditPackages = [
+    ['10 giờ sân', 'hours', 10, 90, 900000, 'Ten court hours within three months'],
+    ['5 buổi chơi', 'sessions', 5, 60, 400000, 'Five bookings of any length within two months']
+  ];
+  for (const c of creditPackages) {
+    await run('INSERT INTO credit_packages (name, unit, quantity, validity_days, price_cents, description) VALUES (?,?,?,?,?,?)', c);
+  }
 
   // Reservations (include both completed and booked)
   const now = new Date();
   const isoNow = now.toISOString().slice(0,10);
-  await run('INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents) VALUES (1, 1, ? || " 09:00", ? || " 10:00", "booked", 100000)', [isoNow, isoNow]);
+  await run('INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents, payment_status) VALUES (1, 1, ? || " 09:00", ? || " 10:00", "booked", 100000, "paid")', [isoNow, isoNow]);
   await run('INSERT INTO reservations (court_id, player_id, start_time, end_time, status, price_cents) VALUES (2, 2, ? || " 11:00", ? || " 12:00", "completed", 100000)', [isoNow, isoNow]);
 
   // Event and registrations
   const eventStart = isoNow + ' 15:00';
   const eventEnd = isoNow + ' 18:00';
-  await run('INSERT INTO events (name, description, court_id, start_time, end_time, max_participants, fee_cents, status) VALUES (?,?,?,?,?,?,?,?)', [
-    'Summer Tournament', 'Annual summer event', 1, eventStart, eventEnd, 16, 200000, 'open'
+  await run('INSERT INTO events (name, description, court_id, start_time, end_time, max_participants, fee_cents, status, bracket_format) VALUES (?,?,?,?,?,?,?,?,?)', [
+    'Summer Tournament', 'Annual summer event', 1, eventStart, eventEnd, 16, 200000, 'open', 'single_elimination'
   ]);
   await run('INSERT INTO event_registrations (event_id, player_id, payment_status, status) VALUES (1, 1, "paid", "registered")');
   await run('INSERT INTO event_registrations (event_id, player_id, payment_status, status) VALUES (1, 3, "unpaid", "registered")');
 
+  // A doubles event a week later with skill divisions; players 2 and 4 registered as a team
+  const doublesDay = new Date(now.getTime() + 7 * 86400000).toISOString().slice(0,10);
+  await run('INSERT INTO events (name, description, court_id, start_time, end_time, max_participants, fee_cents, status, play_format) VALUES (?,?,?,?,?,?,?,?,?)', [
+    'Doubles Classic', 'Doubles by skill division', 2, doublesDay + ' 08:00', doublesDay + ' 12:00', null, 300000, 'open', 'doubles'
+  ]);
+  await run('INSERT INTO event_divisions (event_id, name, capacity, sort_order) VALUES (2, "3.0", 8, 0), (2, "3.5", 8, 1), (2, "4.0+", 6, 2)');
+  await run('INSERT INTO event_registrations (event_id, player_id, payment_status, status, division_id, partner_id) VALUES (2, 2, "unpaid", "registered", 2, 4)');
+  await run('INSERT INTO event_registrations (event_id, player_id, payment_status, status, division_id, partner_id) VALUES (2, 4, "unpaid", "registered", 2, 2)');
+
+  // Weekly drop-in open play on every court the same evening
+  await run('INSERT INTO events (name, description, court_id, start_time, end_time, max_participants, fee_cents, status, play_format, event_type) VALUES (?,?,?,?,?,?,?,?,?,?)', [
+    'Open Play', 'Drop-in, rotating partners', null, doublesDay + ' 18:00', doublesDay + ' 21:00', 24, 50000, 'open', 'doubles', 'open_play'
+  ]);
+
+  await run('INSERT INTO cancellation_policies (applies_to, free_hours_before, late_fee_percent, no_show_fee_percent) VALUES ("reservation", 24, 50, 100)');
+  await run('INSERT INTO cancellation_policies (applies_to, free_hours_before, late_fee_percent, no_show_fee_percent) VALUES ("event", 48, 50, 100)');
+
+  // Sample promotions: half off one booking per player, an event early-bird and a referral discount
+  await run('INSERT INTO promo_codes (code, description, discount_type, discount_value, applies_to, max_uses_per_player) VALUES (?,?,?,?,?,?)', ['WELCOME50', 'Giảm 50% một lần đặt sân', 'percent', 50, JSON.stringify(['reservation']), 1]);
+  await run('INSERT INTO promo_codes (code, description, discount_type, discount_value, applies_to, valid_to, max_uses) VALUES (?,?,?,?,?,?,?)', ['EARLYBIRD', 'Đăng ký sớm giải đấu', 'fixed', 50000, JSON.stringify(['event']), '2026-12-31', 20]);
+  await run('INSERT INTO promo_codes (code, description, discount_type, discount_value, applies_to, max_uses_per_player) VALUES (?,?,?,?,?,?)', ['REFER100K', 'Giới thiệu bạn bè', 'fixed', 100000, JSON.stringify(['membership', 'reservation']), 1]);
+
   // Sample payments
   await run('INSERT INTO payments (player_id, amount_cents, source_type, source_id, method, status) VALUES (1, 4000000, "membership", 1, "card", "succeeded")');
   await run('INSERT INTO payments (player_id, amount_cents, source_type, source_id, method, status) VALUES (1, 100000, "reservation", 1, "cash", "succeeded")');
+  await run('INSERT INTO payments (player_id, amount_cents, source_type, source_id, method, status) VALUES (1, 200000, "event", 1, "cash", "succeeded")');
+
+  // Player 3 bought ten hours of court time last week
+  const creditBought = new Date(now.getTime() - 7 * 86400000).toISOString().slice(0,10);
+  const creditExpires = new Date(now.getTime() + 83 * 86400000).toISOString().slice(0,10);
+  await run('INSERT INTO player_credits (player_id, package_id, unit, quantity, remaining, price_cents, payment_status, purchased_at, expires_at) VALUES (3, 1, "hours", 10, 10, 900000, "paid", ?, ?)', [creditBought, creditExpires]);
+  await run('INSERT INTO credit_transactions (player_id, player_credit_id, kind, amount, note, created_at) VALUES (3, 1, "purchase", 10, "10 giờ sân", ?)', [creditBought]);
+  await run('INSERT INTO payments (player_id, amount_cents, source_type, source_id, method, status, created_at) VALUES (3, 900000, "credit_package", 1, "card", "succeeded", ?)', [creditBought]);
 
   console.log('Database initialized');
   db.close();